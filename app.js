@@ -16,6 +16,15 @@ const dashboardRoutes = require('./routes/dashboardRoutes');
 const movementRoutes = require('./routes/movementRoutes');
 const departmentRoutes = require('./routes/departmentsRoutes');
 const categoriesRoutes = require('./routes/categoryRoutes');
+const stocktakeRoutes = require('./routes/stocktakeRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const recipeRoutes = require('./routes/recipeRoutes');
+const requisitionRoutes = require('./routes/requisitionRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const clientRoutes = require('./routes/clientRoutes');
 
 app.use('/api/movements', movementRoutes);
 
@@ -28,6 +37,15 @@ app.use('/api/dashboard', dashboardRoutes);
 
 app.use('/api/departments', departmentRoutes);
 app.use('/api/categories', categoriesRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/recipes', recipeRoutes);
+app.use('/api/requisitions', requisitionRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/clients', clientRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
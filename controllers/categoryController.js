@@ -1,6 +1,16 @@
 // controllers/categoryController.js
 const { admin, db } = require('../config/firebase');
 const FieldValue = admin.firestore.FieldValue;
+const TaxModel = require('../models/taxModel');
+
+// VAT rate of a request body, or the validation message
+const readTaxRate = (value) => {
+  try {
+    return { taxRate: TaxModel.parseTaxRate(value) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -53,6 +63,14 @@ const createCategory = async (req, res) => {
       });
     }
 
+    const { taxRate, error: taxRateError } = readTaxRate(req.body.taxRate);
+    if (taxRateError) {
+      return res.status(400).json({
+        success: false,
+        message: taxRateError
+      });
+    }
+
     // Check if category already exists
     const categoriesRef = db.collection('categories');
     const snapshot = await categoriesRef
@@ -70,6 +88,7 @@ const createCategory = async (req, res) => {
     const categoryData = {
       name: name.trim(),
       type: type,
+      taxRate, // VAT rate of its products, unless a product has its own
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp()
     };
@@ -104,6 +123,14 @@ const updateCategory = async (req, res) => {
     const { id } = req.params;
     const { name } = req.body;
 
+    const { taxRate, error: taxRateError } = readTaxRate(req.body.taxRate);
+    if (taxRateError) {
+      return res.status(400).json({
+        success: false,
+        message: taxRateError
+      });
+    }
+
     const categoryRef = db.collection('categories').doc(id);
     const doc = await categoryRef.get();
 
@@ -142,6 +169,7 @@ const updateCategory = async (req, res) => {
     };
 
     if (name) updateData.name = name.trim();
+    if (req.body.taxRate !== undefined) updateData.taxRate = taxRate;
 
     await categoryRef.update(updateData);
 
@@ -0,0 +1,26 @@
+const ClientModel = require("../models/clientModel");
+
+// The client routes call these as plain functions and answer the request
+// themselves, using the error codes of the client model.
+
+exports.createClient = async (data) => {
+  const client = await ClientModel.createClient(data);
+  console.log(`✅ Client ${client.id} created: ${client.name}`);
+  return client;
+};
+
+exports.getAllClients = (filters = {}) => ClientModel.getAllClients(filters);
+
+exports.getClientById = (id) => ClientModel.getClientById(id);
+
+exports.updateClient = (id, data) => ClientModel.updateClient(id, data);
+
+exports.deleteClient = async (id) => {
+  const result = await ClientModel.deleteClient(id);
+  console.log(`🗑️ Client ${id} deleted`);
+  return result;
+};
+
+exports.getClientInvoices = (id) => ClientModel.getClientInvoices(id);
+
+exports.getReceivablesAging = (filters = {}) => ClientModel.getReceivablesAging(filters);
@@ -1,4 +1,9 @@
 const { db } = require('../config/firebase');
+const ProductModel = require('../models/productModel');
+const StockAlertModel = require('../models/stockAlertModel');
+const LocationModel = require('../models/locationModel');
+const InvoiceModel = require('../models/invoiceModel');
+const TaxModel = require('../models/taxModel');
 
 exports.getDashboardStats = async (period = 'daily') => {
   try {
@@ -17,10 +22,16 @@ exports.getDashboardStats = async (period = 'daily') => {
     
     // Count out of stock products using q field
     let outOfStockCount = 0;
+    let criticalStockCount = 0;
+    let lowStockCount = 0;
     productsSnapshot.forEach(doc => {
       const data = doc.data();
       const stock = data.q !== undefined ? data.q : 1;
       if (stock <= 0) outOfStockCount++;
+
+      const status = ProductModel.getStockStatus(data);
+      if (status === 'critical') criticalStockCount++;
+      if (status === 'low') lowStockCount++;
     });
 
     // Get date range
@@ -35,21 +46,28 @@ exports.getDashboardStats = async (period = 'daily') => {
       const invoice = doc.data();
       const invoiceDate = getInvoiceDate(invoice);
       
-      // Check if invoice is within date range
-      if (invoiceDate >= startDate && invoiceDate <= endDate) {
+      const status = InvoiceModel.invoiceStatus(invoice);
+      
+      // Check if invoice is within date range; drafts and cancelled invoices were never issued
+      if (invoiceDate >= startDate && invoiceDate <= endDate && status !== 'draft' && status !== 'cancelled') {
         periodInvoices++;
-        
-        // Check if invoice is paid and add to income
-        const isPaid = invoice.paid === true || invoice.status === 'paid' || invoice.status === 'Paid';
-        if (isPaid && invoice.total) {
-          totalIncome += Number(invoice.total);
-        }
       }
+
+      // Income is what was paid during the period, whenever the invoice was issued
+      InvoiceModel.invoicePayments(invoice).forEach(payment => {
+        if (payment.date >= startDate && payment.date <= endDate) {
+          totalIncome += Number(payment.amount) || 0;
+        }
+      });
     });
 
+    totalIncome = TaxModel.roundMoney(totalIncome);
+
     const stats = {
       totalProducts,
       outOfStock: outOfStockCount,
+      criticalStock: criticalStockCount,
+      lowStock: lowStockCount,
       totalInvoices: periodInvoices,
       totalIncome,
       period
@@ -103,8 +121,9 @@ exports.getRecentInvoices = async (limit = 5) => {
         clientName: data.clientName || 'Unknown Client',
         total: data.total || 0,
         date: invoiceDate.toISOString(), // Return as ISO string for consistent formatting
-        status: getInvoiceStatus(data),
-        paid: data.paid || false,
+        status: InvoiceModel.invoiceStatus(data),
+        paid: InvoiceModel.invoiceStatus(data) === 'paid',
+        balanceDue: InvoiceModel.outstandingAmount(data),
         products: data.products || []
       });
     });
@@ -147,6 +166,62 @@ exports.getOutOfStockProducts = async () => {
   }
 };
 
+// Grade every product as critical, low or ok against its stock levels
+// level: 'critical', 'low' (critical and low) or 'all'
+exports.getLowStockProducts = async (level = 'low') => {
+  try {
+    console.log(`📉 Fetching ${level} stock products`);
+
+    const productsSnapshot = await db.collection('products').get();
+    const products = [];
+
+    productsSnapshot.forEach(doc => {
+      const data = doc.data();
+      const stock = ProductModel.getStockLevel(data);
+      const status = ProductModel.getStockStatus(data, stock);
+
+      if (level === 'critical' && status !== 'critical') return;
+      if (level === 'low' && status === 'ok') return;
+
+      products.push({
+        id: doc.id,
+        name: data.name || 'Unknown Product',
+        unit: data.unit || 'unit',
+        currentStock: stock,
+        minLevel: data.minLevel ?? null,
+        reorderPoint: data.reorderPoint ?? null,
+        targetLevel: data.targetLevel ?? null,
+        status,
+        suggestedOrderQuantity: ProductModel.getSuggestedOrderQuantity(data, stock)
+      });
+    });
+
+    // Most urgent first, then lowest stock
+    const rank = { critical: 0, low: 1, ok: 2 };
+    products.sort((a, b) => rank[a.status] - rank[b.status] || a.currentStock - b.currentStock);
+
+    console.log(`✅ Found ${products.length} products for level ${level}`);
+    return {
+      counts: {
+        critical: products.filter(p => p.status === 'critical').length,
+        low: products.filter(p => p.status === 'low').length,
+        ok: products.filter(p => p.status === 'ok').length
+      },
+      products
+    };
+
+  } catch (error) {
+    console.error('❌ Error fetching low stock products:', error);
+    throw error;
+  }
+};
+
+exports.getStockAlerts = (filters) => StockAlertModel.getAlerts(filters);
+
+exports.acknowledgeStockAlert = (id, acknowledgedBy) => StockAlertModel.acknowledgeAlert(id, acknowledgedBy);
+
+exports.getStockByLocation = () => LocationModel.getStockByLocation();
+
 // Helper functions
 const getDateRange = (period) => {
   const endDate = new Date();
@@ -193,14 +268,6 @@ const getInvoiceDate = (invoiceData) => {
   return new Date(); // Default to current date
 };
 
-const getInvoiceStatus = (invoice) => {
-  if (invoice.paid === true) return 'Paid';
-  if (invoice.paid === false) return 'Pending';
-  if (invoice.status === 'not paid') return 'Pending';
-  if (invoice.status === 'paid') return 'Paid';
-  return invoice.status || 'Pending';
-};
-
 // Debug function to see what's in your database
 exports.debugData = async () => {
   try {
@@ -1,5 +1,10 @@
 // controllers/departmentController.js
 const { admin, db } = require('../config/firebase');
+const budgetModel = require('../models/budgetModel');
+const movementModel = require('../models/movementModel');
+const departmentStockModel = require('../models/departmentStockModel');
+const departmentModel = require('../models/departmentModel');
+const { statusForError } = require('../utils/errorResponses');
 const FieldValue = admin.firestore.FieldValue;
 
 // Utility function to handle errors
@@ -118,7 +123,7 @@ const getDepartment = async (req, res) => {
 // @access  Private
 const createDepartment = async (req, res) => {
   try {
-    const { name, description, icon, color } = req.body;
+    const { name, description, icon, color, tracksInventory } = req.body;
 
     // Validation
     if (!name || !icon || !color) {
@@ -148,6 +153,8 @@ const createDepartment = async (req, res) => {
       description: description ? description.trim() : '',
       icon: icon.trim(),
       color: color.trim(),
+      // Keeps its own stock: distributions add to it, consumption is reported
+      tracksInventory: tracksInventory === true,
       isActive: true,
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp()
@@ -179,7 +186,7 @@ const createDepartment = async (req, res) => {
 const updateDepartment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, icon, color, isActive } = req.body;
+    const { name, description, icon, color, isActive, tracksInventory } = req.body;
 
     const departmentRef = db.collection('departments').doc(id);
     const doc = await departmentRef.get();
@@ -227,6 +234,7 @@ const updateDepartment = async (req, res) => {
     if (icon !== undefined) updateData.icon = icon.trim();
     if (color !== undefined) updateData.color = color.trim();
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (tracksInventory !== undefined) updateData.tracksInventory = tracksInventory === true;
 
     // Update department
     await departmentRef.update(updateData);
@@ -265,13 +273,7 @@ const deleteDepartment = async (req, res) => {
     }
 
     // Check if department is being used in stock movements
-    const stockMovementsRef = db.collection('stockMovements');
-    const snapshot = await stockMovementsRef
-      .where('departmentId', '==', id)
-      .limit(1)
-      .get();
-
-    if (!snapshot.empty) {
+    if (await departmentModel.isDepartmentInUse({ id, name: doc.data().name })) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete department. It is being used in stock movements.'
@@ -310,13 +312,7 @@ const hardDeleteDepartment = async (req, res) => {
     }
 
     // Check if department is being used in stock movements
-    const stockMovementsRef = db.collection('stockMovements');
-    const snapshot = await stockMovementsRef
-      .where('departmentId', '==', id)
-      .limit(1)
-      .get();
-
-    if (!snapshot.empty) {
+    if (await departmentModel.isDepartmentInUse({ id, name: doc.data().name })) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete department. It is being used in stock movements.'
@@ -349,17 +345,8 @@ const getDepartmentStats = async (req, res) => {
     
     const totalSnapshot = await departmentsRef.get();
 
-    // Get departments with stock movements count (if you have stock movements)
-    const stockMovementsRef = db.collection('stockMovements');
-    const movementsSnapshot = await stockMovementsRef.get();
-    
-    const departmentUsage = {};
-    movementsSnapshot.forEach(doc => {
-      const movement = doc.data();
-      if (movement.departmentId) {
-        departmentUsage[movement.departmentId] = (departmentUsage[movement.departmentId] || 0) + 1;
-      }
-    });
+    // Number of stock movements per department ID
+    const departmentUsage = await departmentModel.getDepartmentUsage();
 
     res.status(200).json({
       success: true,
@@ -426,7 +413,7 @@ const bulkUpdateDepartments = async (req, res) => {
     }
 
     const batch = db.batch();
-    const validUpdates = ['name', 'description', 'icon', 'color', 'isActive'];
+    const validUpdates = ['name', 'description', 'icon', 'color', 'isActive', 'tracksInventory'];
 
     // Filter valid update fields
     const filteredUpdateData = {};
@@ -463,6 +450,162 @@ const bulkUpdateDepartments = async (req, res) => {
   }
 };
 
+// @desc    Fill in department IDs on movements and requisitions that only stored the name
+// @route   POST /api/departments/migrate-references
+// @access  Private
+const migrateDepartmentReferences = async (req, res) => {
+  try {
+    const result = await departmentModel.migrateDepartmentReferences();
+
+    res.status(200).json({
+      success: true,
+      message: `${result.movementsMigrated} movements and ${result.requisitionsMigrated} requisitions migrated`,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Error migrating department references');
+  }
+};
+
+// Errors from the budget and movement models carry a code
+const handleModelError = (res, error, message) => {
+  const status = statusForError(error.code, null);
+
+  if (!status) {
+    return handleError(res, error, message);
+  }
+
+  return res.status(status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    errors: error.errors || [error.message]
+  });
+};
+
+// @desc    Get the monthly budgets of a department
+// @route   GET /api/departments/:id/budgets
+// @access  Private
+const getDepartmentBudgets = async (req, res) => {
+  try {
+    const budgets = await budgetModel.getDepartmentBudgets(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: budgets.length,
+      data: budgets
+    });
+  } catch (error) {
+    handleModelError(res, error, 'Error fetching department budgets');
+  }
+};
+
+// @desc    Set the budget of a department for a month (yyyy-mm)
+// @route   PUT /api/departments/:id/budgets/:month
+// @access  Private
+const setDepartmentBudget = async (req, res) => {
+  try {
+    const { id, month } = req.params;
+    const budget = await budgetModel.setBudget(id, month, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Department budget saved successfully',
+      data: budget
+    });
+  } catch (error) {
+    handleModelError(res, error, 'Error saving department budget');
+  }
+};
+
+// @desc    Delete the budget of a department for a month
+// @route   DELETE /api/departments/:id/budgets/:month
+// @access  Private
+const deleteDepartmentBudget = async (req, res) => {
+  try {
+    const { id, month } = req.params;
+    await budgetModel.deleteBudget(id, month);
+
+    res.status(200).json({
+      success: true,
+      message: 'Department budget deleted successfully'
+    });
+  } catch (error) {
+    handleModelError(res, error, 'Error deleting department budget');
+  }
+};
+
+// @desc    Budget vs actual per department for a month (?month=yyyy-mm&departmentId=)
+// @route   GET /api/departments/budgets/report
+// @access  Private
+const getBudgetReport = async (req, res) => {
+  try {
+    const report = await budgetModel.getBudgetReport(
+      req.query.month || undefined,
+      req.query.departmentId || null
+    );
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    handleModelError(res, error, 'Error building budget report');
+  }
+};
+
+// @desc    Stock a department holds (departments that track their inventory)
+// @route   GET /api/departments/:id/stock
+// @access  Private
+const getDepartmentStock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const doc = await db.collection('departments').doc(id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const stock = await departmentStockModel.getDepartmentStock(id, {
+      includeEmpty: req.query.includeEmpty === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      tracksInventory: doc.data().tracksInventory === true,
+      count: stock.length,
+      data: stock
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching department stock');
+  }
+};
+
+// @desc    Record an end-of-shift count; what is no longer there is recorded as consumption
+// @route   POST /api/departments/:id/stock/count
+// @access  Private
+const recordDepartmentCount = async (req, res) => {
+  try {
+    const result = await movementModel.recordDepartmentCount(req.params.id, req.body);
+
+    if (!result.success) {
+      return handleModelError(res, result, 'Error recording department count');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      alerts: result.alerts
+    });
+  } catch (error) {
+    handleError(res, error, 'Error recording department count');
+  }
+};
+
 module.exports = {
   getDepartments,
   getAllDepartments,
@@ -473,5 +616,12 @@ module.exports = {
   hardDeleteDepartment,
   getDepartmentStats,
   searchDepartments,
-  bulkUpdateDepartments
+  bulkUpdateDepartments,
+  migrateDepartmentReferences,
+  getDepartmentStock,
+  recordDepartmentCount,
+  getDepartmentBudgets,
+  setDepartmentBudget,
+  deleteDepartmentBudget,
+  getBudgetReport
 };
\ No newline at end of file
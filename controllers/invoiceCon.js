@@ -0,0 +1,111 @@
+const InvoiceModel = require("../models/invoiceModel");
+const { sendError } = require("../utils/errorResponses");
+
+// The invoice routes call most of these as plain functions and answer the
+// request themselves; createConfirmedInvoice, updateInvoiceStatus and the
+// payment handlers are mounted as handlers.
+
+exports.createInvoice = (data) => InvoiceModel.createInvoice(data);
+
+// POST /api/invoices/create-confirmed - invoice issued straight away, without a draft
+exports.createConfirmedInvoice = async (req, res) => {
+  try {
+    const invoice = await InvoiceModel.createInvoice(req.body, { status: "confirmed" });
+
+    console.log(`✅ Confirmed invoice ${invoice.invoiceId} created for ${invoice.clientName}`);
+
+    return res.status(201).json({
+      success: true,
+      message: "Invoice created and confirmed successfully",
+      data: invoice
+    });
+  } catch (error) {
+    console.error("❌ Error creating confirmed invoice:", error);
+    return sendError(res, error, "Internal server error while creating invoice");
+  }
+};
+
+exports.getAllInvoices = (filters) => InvoiceModel.getAllInvoices(filters);
+
+exports.getInvoiceById = (id) => InvoiceModel.getInvoiceById(id);
+
+exports.updateInvoice = (id, data) => InvoiceModel.updateInvoice(id, data);
+
+exports.confirmInvoice = (id, data) => InvoiceModel.confirmInvoice(id, data);
+
+exports.deleteInvoice = (id) => InvoiceModel.deleteInvoice(id);
+
+exports.getInvoiceStats = () => InvoiceModel.getInvoiceStats();
+
+exports.searchInvoices = (term) => InvoiceModel.searchInvoices(term);
+
+exports.getTaxReport = (filters) => InvoiceModel.getTaxReport(filters);
+
+// PATCH /api/invoices/:id/status - { status, stockManager?, locationId?, reason? }
+exports.updateInvoiceStatus = async (req, res) => {
+  try {
+    const result = await InvoiceModel.updateInvoiceStatus(req.params.id, req.body.status, req.body);
+
+    console.log(`✅ Invoice ${req.params.id}: ${result.previousStatus} → ${result.status}`);
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error("❌ Error updating invoice status:", error);
+    return sendError(res, error, "Internal server error while updating invoice status");
+  }
+};
+
+// POST /api/invoices/:id/payments - { amount, method, date?, reference?, notes?, recordedBy? }
+exports.recordPayment = async (req, res) => {
+  try {
+    const result = await InvoiceModel.recordPayment(req.params.id, req.body);
+
+    console.log(`✅ Payment ${result.payment.paymentId} of ${result.payment.amount} recorded, balance ${result.balanceDue}`);
+
+    return res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error("❌ Error recording payment:", error);
+    return sendError(res, error, "Internal server error while recording payment");
+  }
+};
+
+// GET /api/invoices/:id/payments
+exports.getInvoicePayments = async (req, res) => {
+  try {
+    const result = await InvoiceModel.getInvoicePayments(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error("❌ Error fetching payments:", error);
+    return sendError(res, error, "Internal server error while fetching payments");
+  }
+};
+
+// DELETE /api/invoices/:id/payments/:paymentId
+exports.deletePayment = async (req, res) => {
+  try {
+    const result = await InvoiceModel.deletePayment(req.params.id, req.params.paymentId);
+
+    console.log(`🗑️ Payment ${result.paymentId} deleted, invoice ${result.invoiceId} is ${result.status}`);
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error("❌ Error deleting payment:", error);
+    return sendError(res, error, "Internal server error while deleting payment");
+  }
+};
@@ -0,0 +1,56 @@
+const labelModel = require('../models/labelModel');
+const { sendError } = require('../utils/errorResponses');
+
+// Labels as a PDF, as ZPL for label printers, or as JSON for a preview
+const sendLabels = async (res, labels, options, filename) => {
+  const { format, symbology } = labelModel.parseOptions(options);
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      count: labels.reduce((sum, label) => sum + label.copies, 0),
+      data: labels
+    });
+  }
+
+  if (format === 'zpl') {
+    res.set('Content-Type', 'application/zpl; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.zpl"`);
+    return res.status(200).send(labelModel.renderZpl(labels, { symbology }));
+  }
+
+  const pdf = await labelModel.renderPdf(labels, { symbology });
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+  return res.status(200).send(pdf);
+};
+
+// GET /api/labels/products/:id?format=pdf|zpl|json&symbology=barcode|qr&copies=1&lots=true
+exports.getProductLabels = async (req, res) => {
+  try {
+    console.log(`🏷️ Printing labels for product ${req.params.id}`);
+    
+    const labels = await labelModel.getProductLabels(req.params.id, req.query);
+    
+    return await sendLabels(res, labels, req.query, `labels-${req.params.id}`);
+    
+  } catch (error) {
+    console.error('❌ Error printing product labels:', error);
+    return sendError(res, error, 'Internal server error while printing labels');
+  }
+};
+
+// GET /api/labels/movements/:movementId?format=pdf|zpl|json&symbology=barcode|qr&copies=1&perUnit=true
+exports.getMovementLabels = async (req, res) => {
+  try {
+    console.log(`🏷️ Printing labels for movement ${req.params.movementId}`);
+    
+    const labels = await labelModel.getMovementLabels(req.params.movementId, req.query);
+    
+    return await sendLabels(res, labels, req.query, `labels-${req.params.movementId}`);
+    
+  } catch (error) {
+    console.error('❌ Error printing movement labels:', error);
+    return sendError(res, error, 'Internal server error while printing labels');
+  }
+};
@@ -0,0 +1,106 @@
+const locationModel = require('../models/locationModel');
+const { sendError } = require('../utils/errorResponses');
+
+exports.createLocation = async (req, res) => {
+  try {
+    console.log('🏬 Creating stock location:', req.body.name);
+    
+    const location = await locationModel.createLocation(req.body);
+    
+    console.log(`✅ Location ${location.id} created${location.isDefault ? ' as the default location' : ''}`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: location
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating location:', error);
+    return sendError(res, error, 'Internal server error while creating location');
+  }
+};
+
+exports.getLocations = async (req, res) => {
+  try {
+    const locations = await locationModel.getAllLocations(req.query);
+    
+    return res.status(200).json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching locations:', error);
+    return sendError(res, error, 'Internal server error while fetching locations');
+  }
+};
+
+exports.getLocation = async (req, res) => {
+  try {
+    const location = await locationModel.getLocationById(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: location
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching location:', error);
+    return sendError(res, error, 'Internal server error while fetching location');
+  }
+};
+
+// Products held at the location
+exports.getLocationStock = async (req, res) => {
+  try {
+    const stock = await locationModel.getLocationStock(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: stock
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching location stock:', error);
+    return sendError(res, error, 'Internal server error while fetching location stock');
+  }
+};
+
+exports.updateLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`✏️ Updating location ${id}`);
+    
+    const result = await locationModel.updateLocation(id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating location:', error);
+    return sendError(res, error, 'Internal server error while updating location');
+  }
+};
+
+exports.deleteLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🗑️ Deactivating location ${id}`);
+    
+    await locationModel.deleteLocation(id);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Location deactivated successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error deleting location:', error);
+    return sendError(res, error, 'Internal server error while deleting location');
+  }
+};
@@ -1,11 +1,13 @@
 const ProductModel = require("../models/productModel");
+const LocationModel = require("../models/locationModel");
+const { statusForError } = require("../utils/errorResponses");
 
 exports.addProduct = async (req, res) => {
   try {
     const result = await ProductModel.createProduct(req.body);
     res.status(201).send(result);
   } catch (err) {
-    res.status(500).send({ error: err.message });
+    res.status(statusForError(err.code)).send({ error: err.message });
   }
 };
 
@@ -32,7 +34,7 @@ exports.updateProduct = async (req, res) => {
     await ProductModel.updateProduct(req.params.id, req.body);
     res.send({ success: true });
   } catch (err) {
-    res.status(500).send({ error: err.message });
+    res.status(statusForError(err.code)).send({ error: err.message });
   }
 };
 
@@ -123,4 +125,59 @@ exports.removeProductQuantities = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+// Lots of one product, first-expired-first-out
+exports.getProductLots = async (req, res) => {
+  try {
+    const lots = await ProductModel.getProductLots(req.params.id);
+    res.send({ success: true, data: lots });
+  } catch (err) {
+    res.status(err.message === "Product not found" ? 404 : 500).send({ error: err.message });
+  }
+};
+
+// Where a product's stock is, per stock location
+exports.getProductLocations = async (req, res) => {
+  try {
+    const stock = await LocationModel.getProductStockByLocation(req.params.id);
+    res.send({ success: true, data: stock });
+  } catch (err) {
+    res.status(err.message === "Product not found" ? 404 : 500).send({ error: err.message });
+  }
+};
+
+// Product a scanned barcode, SKU or product ID stands for
+exports.lookupProduct = async (req, res) => {
+  try {
+    const match = await ProductModel.findProductByCode(req.params.code);
+    res.send({ success: true, data: match });
+  } catch (err) {
+    res.status(err.message === "Product not found" ? 404 : 500).send({ error: err.message });
+  }
+};
+
+// Lots nearing expiry across all products (?days=7 by default)
+exports.getExpiringLots = async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 7;
+
+    if (Number.isNaN(days) || days < 0) {
+      return res.status(400).send({ error: "days must be a positive number" });
+    }
+
+    const lots = await ProductModel.getExpiringLots(days);
+    res.send({ success: true, days, count: lots.length, data: lots });
+  } catch (err) {
+    res.status(500).send({ error: err.message });
+  }
+};
+
+// Stock on hand valued at weighted average cost, by product and category
+exports.getInventoryValuation = async (req, res) => {
+  try {
+    const valuation = await ProductModel.getInventoryValuation();
+    res.send({ success: true, data: valuation });
+  } catch (err) {
+    res.status(500).send({ error: err.message });
+  }
+};
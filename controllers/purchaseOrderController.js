@@ -0,0 +1,124 @@
+const purchaseOrderModel = require('../models/purchaseOrderModel');
+const { sendError } = require('../utils/errorResponses');
+
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    console.log('🧾 Creating purchase order:', req.body.supplierId);
+    
+    const order = await purchaseOrderModel.createPurchaseOrder(req.body);
+    
+    console.log(`✅ Purchase order ${order.id} created`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: order
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating purchase order:', error);
+    return sendError(res, error, 'Internal server error while creating purchase order');
+  }
+};
+
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const orders = await purchaseOrderModel.getAllPurchaseOrders(req.query);
+    
+    return res.status(200).json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching purchase orders:', error);
+    return sendError(res, error, 'Internal server error while fetching purchase orders');
+  }
+};
+
+exports.getPurchaseOrder = async (req, res) => {
+  try {
+    const order = await purchaseOrderModel.getPurchaseOrderById(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: order
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching purchase order:', error);
+    return sendError(res, error, 'Internal server error while fetching purchase order');
+  }
+};
+
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const result = await purchaseOrderModel.updatePurchaseOrder(req.params.id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating purchase order:', error);
+    return sendError(res, error, 'Internal server error while updating purchase order');
+  }
+};
+
+exports.sendPurchaseOrder = async (req, res) => {
+  try {
+    const result = await purchaseOrderModel.sendPurchaseOrder(req.params.id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Purchase order sent',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error sending purchase order:', error);
+    return sendError(res, error, 'Internal server error while sending purchase order');
+  }
+};
+
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`📥 Receiving ${req.body.products?.length || 0} lines for purchase order ${id}`);
+    
+    const result = await purchaseOrderModel.receivePurchaseOrder(id, req.body);
+    
+    console.log(`✅ Purchase order ${id} is ${result.status}, stock in movement: ${result.movementId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.status === 'received'
+        ? 'Purchase order fully received'
+        : 'Purchase order partially received',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error receiving purchase order:', error);
+    return sendError(res, error, 'Internal server error while receiving purchase order');
+  }
+};
+
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const result = await purchaseOrderModel.cancelPurchaseOrder(req.params.id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Purchase order cancelled',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error cancelling purchase order:', error);
+    return sendError(res, error, 'Internal server error while cancelling purchase order');
+  }
+};
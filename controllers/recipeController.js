@@ -0,0 +1,124 @@
+const recipeModel = require('../models/recipeModel');
+const { sendError } = require('../utils/errorResponses');
+
+exports.createRecipe = async (req, res) => {
+  try {
+    console.log('🍲 Creating recipe:', req.body.name);
+    
+    const recipe = await recipeModel.createRecipe(req.body);
+    
+    console.log(`✅ Recipe ${recipe.id} created`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Recipe created successfully',
+      data: recipe
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating recipe:', error);
+    return sendError(res, error, 'Internal server error while creating recipe');
+  }
+};
+
+exports.getRecipes = async (req, res) => {
+  try {
+    const recipes = await recipeModel.getAllRecipes(req.query);
+    
+    return res.status(200).json({
+      success: true,
+      count: recipes.length,
+      data: recipes
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching recipes:', error);
+    return sendError(res, error, 'Internal server error while fetching recipes');
+  }
+};
+
+exports.getRecipe = async (req, res) => {
+  try {
+    const recipe = await recipeModel.getRecipeById(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: recipe
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching recipe:', error);
+    return sendError(res, error, 'Internal server error while fetching recipe');
+  }
+};
+
+exports.getRecipeCost = async (req, res) => {
+  try {
+    const cost = await recipeModel.getRecipeCost(req.params.id, req.query.portions);
+    
+    return res.status(200).json({
+      success: true,
+      data: cost
+    });
+    
+  } catch (error) {
+    console.error('❌ Error computing recipe cost:', error);
+    return sendError(res, error, 'Internal server error while computing recipe cost');
+  }
+};
+
+exports.updateRecipe = async (req, res) => {
+  try {
+    const result = await recipeModel.updateRecipe(req.params.id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating recipe:', error);
+    return sendError(res, error, 'Internal server error while updating recipe');
+  }
+};
+
+exports.deleteRecipe = async (req, res) => {
+  try {
+    await recipeModel.deleteRecipe(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Recipe deactivated successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error deleting recipe:', error);
+    return sendError(res, error, 'Internal server error while deleting recipe');
+  }
+};
+
+exports.distributeRecipe = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🍽️ Distributing ${req.body.portions} portions of recipe ${id} to ${req.body.departmentId || req.body.department}`);
+    
+    const result = await recipeModel.distributeRecipe(id, req.body);
+    
+    if (!result.success) {
+      return sendError(res, result, 'Internal server error while distributing recipe');
+    }
+    
+    return res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      alerts: result.alerts,
+      budgetWarnings: result.budgetWarnings
+    });
+    
+  } catch (error) {
+    console.error('❌ Error distributing recipe:', error);
+    return sendError(res, error, 'Internal server error while distributing recipe');
+  }
+};
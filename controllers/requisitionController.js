@@ -0,0 +1,108 @@
+const requisitionModel = require('../models/requisitionModel');
+const { sendError } = require('../utils/errorResponses');
+
+exports.submitRequisition = async (req, res) => {
+  try {
+    console.log('📝 Submitting requisition for department:', req.body.departmentId || req.body.department);
+    
+    const requisition = await requisitionModel.submitRequisition(req.body);
+    
+    console.log(`✅ Requisition ${requisition.id} submitted`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Requisition submitted successfully',
+      data: requisition
+    });
+    
+  } catch (error) {
+    console.error('❌ Error submitting requisition:', error);
+    return sendError(res, error, 'Internal server error while submitting requisition');
+  }
+};
+
+exports.getRequisitions = async (req, res) => {
+  try {
+    const requisitions = await requisitionModel.getAllRequisitions(req.query);
+    
+    return res.status(200).json({
+      success: true,
+      count: requisitions.length,
+      data: requisitions
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching requisitions:', error);
+    return sendError(res, error, 'Internal server error while fetching requisitions');
+  }
+};
+
+exports.getRequisition = async (req, res) => {
+  try {
+    const requisition = await requisitionModel.getRequisitionById(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: requisition
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching requisition:', error);
+    return sendError(res, error, 'Internal server error while fetching requisition');
+  }
+};
+
+exports.approveRequisition = async (req, res) => {
+  try {
+    const result = await requisitionModel.approveRequisition(req.params.id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.status === 'approved'
+        ? 'Requisition approved'
+        : 'Requisition partially approved',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error approving requisition:', error);
+    return sendError(res, error, 'Internal server error while approving requisition');
+  }
+};
+
+exports.rejectRequisition = async (req, res) => {
+  try {
+    const result = await requisitionModel.rejectRequisition(req.params.id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Requisition rejected',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error rejecting requisition:', error);
+    return sendError(res, error, 'Internal server error while rejecting requisition');
+  }
+};
+
+exports.fulfilRequisition = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`📦 Fulfilling requisition ${id}`);
+    
+    const result = await requisitionModel.fulfilRequisition(id, req.body);
+    
+    console.log(`✅ Requisition ${id} fulfilled by movement ${result.movementId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Requisition fulfilled, distribution ${result.movementId} created`,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fulfilling requisition:', error);
+    return sendError(res, error, 'Internal server error while fulfilling requisition');
+  }
+};
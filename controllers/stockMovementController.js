@@ -1,5 +1,7 @@
 const movementModel = require('../models/movementModel');
 const ProductModel = require("../models/productModel");
+const { codedError } = require('../utils/errors');
+const { statusForError } = require('../utils/errorResponses');
 
 // Validation schemas
 const validateMovementData = (data) => {
@@ -7,38 +9,131 @@ const validateMovementData = (data) => {
   const missingFields = requiredFields.filter(field => !data[field]);
   
   if (missingFields.length > 0) {
-    throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+    throw codedError('VALIDATION_ERROR', `Missing required fields: ${missingFields.join(', ')}`);
   }
   
   if (!Array.isArray(data.products) || data.products.length === 0) {
-    throw new Error('Products must be a non-empty array');
+    throw codedError('VALIDATION_ERROR', 'Products must be a non-empty array');
   }
   
   if (typeof data.stockManager !== 'string' || data.stockManager.trim() === '') {
-    throw new Error('Stock manager name is required');
+    throw codedError('VALIDATION_ERROR', 'Stock manager name is required');
   }
   
-  const validMovementTypes = ['stock_in', 'distribution'];
+  const validMovementTypes = movementModel.MOVEMENT_TYPES;
   if (!validMovementTypes.includes(data.type)) {
-    throw new Error(`Invalid movement type. Must be one of: ${validMovementTypes.join(', ')}`);
+    throw codedError('VALIDATION_ERROR', `Invalid movement type. Must be one of: ${validMovementTypes.join(', ')}`);
   }
   
-  if (data.type === 'distribution' && !data.department) {
-    throw new Error('Department is required for distribution movements');
+  // Type specific fields
+  switch (data.type) {
+    case 'distribution':
+      if (!data.departmentId && !data.department) {
+        throw codedError('VALIDATION_ERROR', 'Department is required for distribution movements');
+      }
+      break;
+    case 'waste':
+      if (!movementModel.WASTE_REASONS.includes(data.reasonCode)) {
+        throw codedError('VALIDATION_ERROR', `Invalid waste reason code. Must be one of: ${movementModel.WASTE_REASONS.join(', ')}`);
+      }
+      break;
+    case 'department_return':
+      if (!data.departmentId && !data.department) {
+        throw codedError('VALIDATION_ERROR', 'Department is required for department return movements');
+      }
+      break;
+    case 'consumption':
+      if (!data.departmentId && !data.department) {
+        throw codedError('VALIDATION_ERROR', 'Department is required for consumption movements');
+      }
+      break;
+    case 'supplier_return':
+      if (!data.supplierId && !data.supplier) {
+        throw codedError('VALIDATION_ERROR', 'Supplier (supplierId) is required for supplier return movements');
+      }
+      break;
+    case 'department_transfer':
+      if ((!data.fromDepartmentId && !data.fromDepartment) || (!data.departmentId && !data.department)) {
+        throw codedError('VALIDATION_ERROR', 'Missing required fields for transfer movements: fromDepartmentId, departmentId');
+      }
+      break;
+    case 'location_transfer':
+      if (!data.fromLocationId || !data.toLocationId) {
+        throw codedError('VALIDATION_ERROR', 'Missing required fields for location transfers: fromLocationId, toLocationId');
+      }
+      break;
+    case 'adjustment':
+      if (typeof data.justification !== 'string' || data.justification.trim() === '') {
+        throw codedError('VALIDATION_ERROR', 'Justification is required for adjustment movements');
+      }
+      break;
+    case 'sale':
+      throw codedError('VALIDATION_ERROR', 'Sales are recorded by confirming an invoice');
+    case 'production':
+      if (data.products.filter(product => product.role === 'output').length !== 1) {
+        throw codedError('VALIDATION_ERROR', 'Production movements need exactly one product with role "output"');
+      }
+      if (data.products.some(product => product.role !== 'input' && product.role !== 'output')) {
+        throw codedError('VALIDATION_ERROR', 'Each production product must have role "input" or "output"');
+      }
+      break;
   }
   
   // Validate each product
   data.products.forEach((product, index) => {
-    if (!product.productId || !product.productName || product.quantity == null || !product.unit) {
-      throw new Error(`Product ${index + 1} is missing required fields: productId, productName, quantity, or unit`);
+    if (product.barcode) {
+      if (product.quantity == null) {
+        throw codedError('VALIDATION_ERROR', `Product ${index + 1} is missing its quantity`);
+      }
+    } else if (!product.productId || !product.productName || product.quantity == null || !product.unit) {
+      throw codedError('VALIDATION_ERROR', `Product ${index + 1} is missing required fields: productId, productName, quantity, or unit (or barcode)`);
     }
     
-    if (typeof product.quantity !== 'number' || product.quantity <= 0) {
-      throw new Error(`Product ${index + 1} quantity must be a positive number`);
+    // Adjustments may be negative but never zero
+    if (data.type === 'adjustment') {
+      if (typeof product.quantity !== 'number' || product.quantity === 0) {
+        throw codedError('VALIDATION_ERROR', `Product ${index + 1} quantity must be a non-zero number`);
+      }
+    } else if (typeof product.quantity !== 'number' || product.quantity <= 0) {
+      throw codedError('VALIDATION_ERROR', `Product ${index + 1} quantity must be a positive number`);
     }
   });
 };
 
+// Edits are partial: only the fields that are sent get validated
+const validateMovementUpdateData = (data) => {
+  const editableFields = [
+    'type', 'departmentId', 'department', 'supplierId', 'supplier', 'stockManager', 'products', 'notes',
+    'reasonCode', 'fromDepartmentId', 'fromDepartment', 'justification', 'editedBy', 'editReason'
+  ];
+  const unknownFields = Object.keys(data).filter(field => !editableFields.includes(field));
+  
+  if (unknownFields.length > 0) {
+    throw codedError('VALIDATION_ERROR', `Invalid fields for a movement update: ${unknownFields.join(', ')}`);
+  }
+  
+  if (data.stockManager !== undefined && (typeof data.stockManager !== 'string' || data.stockManager.trim() === '')) {
+    throw codedError('VALIDATION_ERROR', 'Stock manager name must be a non-empty string');
+  }
+  
+  if (data.products !== undefined) {
+    if (!Array.isArray(data.products) || data.products.length === 0) {
+      throw codedError('VALIDATION_ERROR', 'Products must be a non-empty array');
+    }
+    
+    data.products.forEach((product, index) => {
+      if ((!product.productId && !product.barcode) || product.quantity == null) {
+        throw codedError('VALIDATION_ERROR', `Product ${index + 1} is missing required fields: productId (or barcode) or quantity`);
+      }
+      
+      // Whether negative quantities are allowed depends on the type, checked by the model
+      if (typeof product.quantity !== 'number' || product.quantity === 0) {
+        throw codedError('VALIDATION_ERROR', `Product ${index + 1} quantity must be a non-zero number`);
+      }
+    });
+  }
+};
+
 exports.createStockMovement = async (req, res) => {
   try {
     const movementData = req.body;
@@ -53,6 +148,15 @@ exports.createStockMovement = async (req, res) => {
     
     const result = await movementModel.createStockMovement(movementData);
     
+    if (!result.success) {
+      return res.status(statusForError(result.code)).json({
+        success: false,
+        message: result.message,
+        code: result.code,
+        errors: result.errors || [result.message]
+      });
+    }
+    
     console.log('✅ Stock movement created successfully:', {
       movementId: result.id,
       type: movementData.type
@@ -62,17 +166,15 @@ exports.createStockMovement = async (req, res) => {
       success: true,
       message: result.message,
       data: result.data,
+      alerts: result.alerts,
+      budgetWarnings: result.budgetWarnings,
       movementId: result.id
     });
     
   } catch (error) {
     console.error('❌ Error creating stock movement:', error.message);
     
-    const statusCode = error.message.includes('validation') || 
-                      error.message.includes('Missing') || 
-                      error.message.includes('Invalid') ? 400 : 500;
-    
-    return res.status(statusCode).json({
+    return res.status(statusForError(error.code)).json({
       success: false,
       message: error.message
     });
@@ -135,7 +237,7 @@ exports.getDepartmentStock = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: result,
-      department: department
+      department: result.department
     });
     
   } catch (error) {
@@ -238,24 +340,69 @@ exports.updateStockMovement = async (req, res) => {
     
     console.log('🔄 Updating stock movement:', { movementId });
     
-    // For now, return not implemented
-    return res.status(501).json({
-      success: false,
-      message: 'Update movement functionality not implemented yet'
+    validateMovementUpdateData(updateData);
+    
+    const result = await movementModel.updateStockMovement(movementId, updateData);
+    
+    if (!result.success) {
+      return res.status(statusForError(result.code)).json({
+        success: false,
+        message: result.message,
+        code: result.code,
+        errors: result.errors || [result.message]
+      });
+    }
+    
+    console.log('✅ Stock movement updated successfully:', { movementId });
+    
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      stockChanges: result.stockChanges,
+      alerts: result.alerts
     });
     
   } catch (error) {
     console.error('❌ Error updating stock movement:', error);
-    return res.status(500).json({
+    
+    return res.status(statusForError(error.code)).json({
       success: false,
       message: error.message
     });
   }
 };
-// controllers/stockMovementController.js
-
-const { db } = require('../config/firebase');
 
+exports.getMovementRevisions = async (req, res) => {
+  try {
+    const { movementId } = req.params;
+    
+    console.log(`📜 Fetching revisions of stock movement: ${movementId}`);
+    
+    const revisions = await movementModel.getMovementRevisions(movementId);
+    
+    return res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching movement revisions:', error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock movement not found'
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching movement revisions'
+    });
+  }
+};
 
 /**
  * Controller for deleting stock movements
@@ -290,53 +437,72 @@ exports.deleteMovementController = async (req, res) => {
       });
     }
 
-    // If not successful, handle different error cases
-    if (result.code === "MOVEMENT_TOO_OLD") {
-      return res.status(400).json({
-        success: false,
-        message: result.message,
-        code: result.code,
-        errors: result.errors || [result.message]
-      });
-    }
+    return res.status(statusForError(result.code)).json({
+      success: false,
+      message: result.message || 'Failed to delete movement',
+      code: result.code || "INTERNAL_ERROR",
+      errors: result.errors || [result.message]
+    });
 
-    if (result.code === "MOVEMENT_NOT_FOUND") {
-      return res.status(404).json({
+  } catch (error) {
+    console.error('❌ Controller error in deleteMovement:', error);
+    
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error while deleting movement',
+      code: "INTERNAL_ERROR",
+      errors: [error.message || 'An unexpected error occurred']
+    });
+  }
+};
+/**
+ * Controller for reversing stock movements
+ * - Posts a compensating movement linked to the original
+ * - Marks the original as reversed, it stays in the history
+ */
+exports.reverseMovementController = async (req, res) => {
+  try {
+    const { movementId } = req.params;
+    const { stockManager, reason } = req.body;
+    
+    console.log("↩️ Controller: Reversing movement:", movementId);
+    
+    if (!stockManager || !reason) {
+      return res.status(400).json({
         success: false,
-        message: result.message,
-        code: result.code,
-        errors: result.errors || [result.message]
+        message: "Missing required fields: stockManager, reason"
       });
     }
-
-    if (result.code === "STOCK_RESTORATION_FAILED") {
-      return res.status(409).json({
+    
+    const result = await movementModel.reverseMovement(movementId, { stockManager, reason });
+    
+    if (!result.success) {
+      return res.status(statusForError(result.code)).json({
         success: false,
         message: result.message,
         code: result.code,
         errors: result.errors || [result.message]
       });
     }
-
-    // Generic error response
-    return res.status(500).json({
-      success: false,
-      message: result.message || 'Failed to delete movement',
-      code: result.code || "INTERNAL_ERROR",
-      errors: result.errors || [result.message]
+    
+    return res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      alerts: result.alerts,
+      movementId: result.id
     });
-
+    
   } catch (error) {
-    console.error('❌ Controller error in deleteMovement:', error);
+    console.error('❌ Controller error in reverseMovement:', error);
     
     return res.status(500).json({
       success: false,
-      message: error.message || 'Internal server error while deleting movement',
-      code: "INTERNAL_ERROR",
-      errors: [error.message || 'An unexpected error occurred']
+      message: error.message || 'Internal server error while reversing movement'
     });
   }
 };
+
 /**
  * Utility function to check if a movement can be deleted (within 24 hours)
  * This can be used by the frontend to show/hide delete button
@@ -352,34 +518,26 @@ exports.canDeleteMovement = async (req, res) => {
       });
     }
 
-    const movementDoc = await db.collection("stockMovements").doc(id).get();
-    
-    if (!movementDoc.exists) {
-      return res.status(404).json({
+    // Same rules as deleteMovement (age, reversals, linked documents)
+    const result = await movementModel.checkMovementDeletable(id);
+
+    if (!result.success) {
+      return res.status(statusForError(result.code)).json({
         success: false,
-        message: "Movement not found"
+        message: result.message,
+        code: result.code,
+        errors: result.errors
       });
     }
 
-    const movement = movementDoc.data();
-    const movementTimestamp = movement.timestamp?.toDate 
-      ? movement.timestamp.toDate() 
-      : new Date(movement.timestamp || movement.createdAt);
-    
-    const now = new Date();
-    const timeDiff = now - movementTimestamp;
-    const hoursDiff = timeDiff / (1000 * 60 * 60);
-    const canDelete = hoursDiff <= 24;
-
+    // This endpoint has always sent the hours as strings with two decimals
+    const { hoursDifference, timeRemaining } = result.data;
     return res.status(200).json({
       success: true,
       data: {
-        canDelete,
-        movementId: movement.movementId,
-        movementTime: movementTimestamp.toISOString(),
-        currentTime: now.toISOString(),
-        hoursDifference: hoursDiff.toFixed(2),
-        timeRemaining: canDelete ? (24 - hoursDiff).toFixed(2) : 0
+        ...result.data,
+        hoursDifference: hoursDifference.toFixed(2),
+        timeRemaining: result.data.canDelete ? timeRemaining.toFixed(2) : 0
       }
     });
 
@@ -0,0 +1,126 @@
+const stocktakeModel = require('../models/stocktakeModel');
+const { sendError } = require('../utils/errorResponses');
+
+exports.openStocktake = async (req, res) => {
+  try {
+    console.log('📋 Opening stocktake:', req.body);
+    
+    const session = await stocktakeModel.openStocktake(req.body);
+    
+    console.log(`✅ Stocktake ${session.id} opened with ${session.itemCount} products`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Stocktake opened successfully',
+      data: session
+    });
+    
+  } catch (error) {
+    console.error('❌ Error opening stocktake:', error);
+    return sendError(res, error, 'Internal server error while opening stocktake');
+  }
+};
+
+exports.getStocktakes = async (req, res) => {
+  try {
+    const sessions = await stocktakeModel.getAllStocktakes(req.query);
+    
+    return res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching stocktakes:', error);
+    return sendError(res, error, 'Internal server error while fetching stocktakes');
+  }
+};
+
+exports.getStocktake = async (req, res) => {
+  try {
+    const stocktake = await stocktakeModel.getStocktakeById(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching stocktake:', error);
+    return sendError(res, error, 'Internal server error while fetching stocktake');
+  }
+};
+
+exports.submitCounts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🔢 Submitting ${req.body.counts?.length || 0} counts for stocktake ${id}`);
+    
+    const result = await stocktakeModel.submitCounts(id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Counts submitted successfully',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error submitting counts:', error);
+    return sendError(res, error, 'Internal server error while submitting counts');
+  }
+};
+
+exports.getVariances = async (req, res) => {
+  try {
+    const variances = await stocktakeModel.getVariances(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: variances
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching stocktake variances:', error);
+    return sendError(res, error, 'Internal server error while computing variances');
+  }
+};
+
+exports.closeStocktake = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🔒 Closing stocktake ${id}`);
+    
+    const result = await stocktakeModel.closeStocktake(id, req.body);
+    
+    console.log(`✅ Stocktake ${id} closed, adjustment movement: ${result.movementId || 'none'}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.movementId
+        ? `Stocktake closed, stock adjusted by movement ${result.movementId}`
+        : 'Stocktake closed, no adjustment needed',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error closing stocktake:', error);
+    return sendError(res, error, 'Internal server error while closing stocktake');
+  }
+};
+
+exports.cancelStocktake = async (req, res) => {
+  try {
+    const result = await stocktakeModel.cancelStocktake(req.params.id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Stocktake cancelled',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error cancelling stocktake:', error);
+    return sendError(res, error, 'Internal server error while cancelling stocktake');
+  }
+};
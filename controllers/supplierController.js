@@ -0,0 +1,105 @@
+const supplierModel = require('../models/supplierModel');
+const { sendError } = require('../utils/errorResponses');
+
+exports.createSupplier = async (req, res) => {
+  try {
+    console.log('🚚 Creating supplier:', req.body.name);
+    
+    const supplier = await supplierModel.createSupplier(req.body);
+    
+    console.log(`✅ Supplier ${supplier.id} created`);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating supplier:', error);
+    return sendError(res, error, 'Internal server error while creating supplier');
+  }
+};
+
+exports.getSuppliers = async (req, res) => {
+  try {
+    const suppliers = await supplierModel.getAllSuppliers(req.query);
+    
+    return res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching suppliers:', error);
+    return sendError(res, error, 'Internal server error while fetching suppliers');
+  }
+};
+
+exports.getSupplier = async (req, res) => {
+  try {
+    const supplier = await supplierModel.getSupplierById(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: supplier
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching supplier:', error);
+    return sendError(res, error, 'Internal server error while fetching supplier');
+  }
+};
+
+exports.getSupplierMovements = async (req, res) => {
+  try {
+    const history = await supplierModel.getSupplierMovements(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: history
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching supplier movements:', error);
+    return sendError(res, error, 'Internal server error while fetching supplier movements');
+  }
+};
+
+exports.updateSupplier = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`✏️ Updating supplier ${id}`);
+    
+    const result = await supplierModel.updateSupplier(id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating supplier:', error);
+    return sendError(res, error, 'Internal server error while updating supplier');
+  }
+};
+
+exports.deleteSupplier = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🗑️ Deactivating supplier ${id}`);
+    
+    await supplierModel.deleteSupplier(id);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Supplier deactivated successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error deleting supplier:', error);
+    return sendError(res, error, 'Internal server error while deleting supplier');
+  }
+};
@@ -0,0 +1,325 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("departmentBudgets");
+const ProductModel = require("../models/productModel");
+const { codedError } = require("../utils/errors");
+const { roundMoney } = require("../models/taxModel");
+
+// warn: over-budget distributions go through with warnings; block: they are refused
+const BUDGET_MODES = ["warn", "block"];
+exports.BUDGET_MODES = BUDGET_MODES;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// yyyy-mm of a date
+const monthOf = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+exports.monthOf = monthOf;
+
+const monthRange = (month) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return { start: new Date(year, monthNumber - 1, 1), end: new Date(year, monthNumber, 1) };
+};
+
+const parseMonth = (month) => {
+  if (!MONTH_PATTERN.test(month || "")) {
+    throw codedError("VALIDATION_ERROR", "month must be given as yyyy-mm");
+  }
+  return month;
+};
+
+const budgetId = (departmentId, month) => `${departmentId}_${month}`;
+
+const toBudget = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+// How a movement counts against its department's budget: distributions use
+// it up, department returns give it back and reversals undo what they reverse
+const budgetSign = (movement) => {
+  const reversal = movement.type === "reversal";
+  const type = reversal ? movement.reversedType : movement.type;
+  const sign = reversal ? -1 : 1;
+
+  if (type === "distribution") return sign;
+  if (type === "department_return") return -sign;
+  return 0;
+};
+
+// Value and per product quantity (base unit) used by a list of movements
+const usageOf = (movements) => {
+  let value = 0;
+  const quantities = new Map();
+
+  movements.forEach((movement) => {
+    const sign = budgetSign(movement);
+    if (!sign) return;
+
+    value += sign * (movement.totalValue || 0);
+    (movement.products || []).forEach((p) => {
+      quantities.set(p.productId, (quantities.get(p.productId) || 0) + sign * (p.quantity || 0));
+    });
+  });
+
+  return { value: roundMoney(value), quantities };
+};
+
+const getDepartment = async (departmentId) => {
+  const doc = await db.collection("departments").doc(departmentId).get();
+  if (!doc.exists) {
+    throw codedError("DEPARTMENT_NOT_FOUND", "Department not found");
+  }
+  return { id: doc.id, ...doc.data() };
+};
+
+// Product quotas are stored in each product's base unit
+const parseProductLimits = async (limits) => {
+  if (limits === undefined || limits === null) return [];
+  if (!Array.isArray(limits)) {
+    throw codedError("VALIDATION_ERROR", "productLimits must be an array");
+  }
+  if (limits.length === 0) return [];
+
+  const invalid = limits
+    .filter((l) => !ProductModel.isProductId(l.productId))
+    .map((l) => `Invalid product limit: ${JSON.stringify(l)}`);
+  if (invalid.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${invalid.join(", ")}`, invalid);
+  }
+
+  const docs = await db.getAll(...limits.map((l) => db.collection("products").doc(l.productId)));
+  const errors = [];
+
+  const parsed = limits.map((limit, index) => {
+    const doc = docs[index];
+    if (!doc.exists) {
+      errors.push(`Product not found: ${limit.productId}`);
+      return null;
+    }
+
+    const product = doc.data();
+    const unit = ProductModel.findUnit(product, limit.unit);
+    if (!(Number(limit.quantity) >= 0) || limit.quantity === null || limit.quantity === "") {
+      errors.push(`${product.name}: quantity must be zero or more`);
+      return null;
+    }
+    if (!unit) {
+      errors.push(`${product.name}: unit "${limit.unit}" is not defined`);
+      return null;
+    }
+
+    return {
+      productId: limit.productId,
+      productName: product.name,
+      quantity: Number(limit.quantity) * unit.factor,
+      unit: product.unit || "unit",
+    };
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  return parsed;
+};
+
+// Create or replace the budget of a department for one month
+exports.setBudget = async (departmentId, month, data) => {
+  parseMonth(month);
+  const department = await getDepartment(departmentId);
+
+  const valueLimit = data.valueLimit === undefined || data.valueLimit === null ? null : Number(data.valueLimit);
+  if (valueLimit !== null && !(valueLimit >= 0)) {
+    throw codedError("VALIDATION_ERROR", "valueLimit must be zero or more");
+  }
+
+  const mode = data.mode || "warn";
+  if (!BUDGET_MODES.includes(mode)) {
+    throw codedError("VALIDATION_ERROR", `mode must be one of: ${BUDGET_MODES.join(", ")}`);
+  }
+
+  const productLimits = await parseProductLimits(data.productLimits);
+  if (valueLimit === null && productLimits.length === 0) {
+    throw codedError("VALIDATION_ERROR", "A budget needs a valueLimit or productLimits");
+  }
+
+  const ref = collection.doc(budgetId(departmentId, month));
+  const existing = await ref.get();
+  const now = new Date();
+
+  const budget = {
+    departmentId,
+    departmentName: department.name,
+    month,
+    valueLimit,
+    productLimits,
+    mode,
+    notes: data.notes || "",
+    createdAt: existing.exists ? existing.data().createdAt : now,
+    updatedAt: now,
+  };
+
+  await ref.set(budget);
+  return { id: ref.id, ...budget };
+};
+
+exports.getDepartmentBudgets = async (departmentId) => {
+  await getDepartment(departmentId);
+  const snapshot = await collection.where("departmentId", "==", departmentId).get();
+
+  return snapshot.docs
+    .map(toBudget)
+    .sort((a, b) => b.month.localeCompare(a.month));
+};
+
+exports.deleteBudget = async (departmentId, month) => {
+  const ref = collection.doc(budgetId(departmentId, parseMonth(month)));
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw codedError("BUDGET_NOT_FOUND", "Budget not found");
+  }
+
+  await ref.delete();
+  return { success: true };
+};
+
+// Budget of a distribution's department ({ id, name }) for the current month,
+// with what the department already used this month. Read inside the
+// movement's transaction. An edited movement passes its ID so its own
+// previous version is left out of what was used.
+// The month's movements query needs the composite index (departmentId,
+// timestamp) of firestore.indexes.json; deploy it with
+// `firebase deploy --only firestore:indexes` before setting budgets.
+exports.readBudgetInTransaction = async (transaction, department, date = new Date(), exceptMovementId = null) => {
+  if (!department) return null;
+
+  const month = monthOf(date);
+  const budgetDoc = await transaction.get(collection.doc(budgetId(department.id, month)));
+  if (!budgetDoc.exists) return null;
+
+  const { start, end } = monthRange(month);
+  const movementsSnapshot = await transaction.get(
+    db.collection("stockMovements")
+      .where("departmentId", "==", department.id)
+      .where("timestamp", ">=", start)
+      .where("timestamp", "<", end)
+  );
+
+  return {
+    // Messages use the department's current name
+    budget: { ...budgetDoc.data(), departmentName: department.name },
+    used: usageOf(
+      movementsSnapshot.docs.filter((doc) => doc.id !== exceptMovementId).map((doc) => doc.data())
+    ),
+  };
+};
+
+// Ways a distribution (its stored lines and value) would go over the budget
+exports.checkDistribution = (context, lines, value) => {
+  if (!context) return [];
+
+  const { budget, used } = context;
+  const warnings = [];
+
+  if (budget.valueLimit !== null && used.value + value > budget.valueLimit) {
+    warnings.push({
+      type: "value",
+      limit: budget.valueLimit,
+      used: used.value,
+      requested: value,
+      remaining: roundMoney(Math.max(0, budget.valueLimit - used.value)),
+      message: `${budget.departmentName} budget for ${budget.month}: ${roundMoney(used.value + value)} of ${budget.valueLimit}`,
+    });
+  }
+
+  (budget.productLimits || []).forEach((limit) => {
+    const requested = lines
+      .filter((line) => line.productId === limit.productId)
+      .reduce((sum, line) => sum + line.quantity, 0);
+    const usedQuantity = used.quantities.get(limit.productId) || 0;
+
+    if (requested > 0 && usedQuantity + requested > limit.quantity) {
+      warnings.push({
+        type: "quantity",
+        productId: limit.productId,
+        productName: limit.productName,
+        unit: limit.unit,
+        limit: limit.quantity,
+        used: usedQuantity,
+        requested,
+        remaining: Math.max(0, limit.quantity - usedQuantity),
+        message: `${budget.departmentName} quota of ${limit.productName} for ${budget.month}: ${usedQuantity + requested} of ${limit.quantity} ${limit.unit}`,
+      });
+    }
+  });
+
+  return warnings;
+};
+
+// Budget vs actual of every department for one month (or of one department)
+exports.getBudgetReport = async (month = monthOf(new Date()), departmentId = null) => {
+  parseMonth(month);
+  const { start, end } = monthRange(month);
+
+  const [budgetsSnapshot, movementsSnapshot, departmentsSnapshot] = await Promise.all([
+    collection.where("month", "==", month).get(),
+    db.collection("stockMovements").where("timestamp", ">=", start).where("timestamp", "<", end).get(),
+    db.collection("departments").get(),
+  ]);
+
+  const budgets = new Map(budgetsSnapshot.docs.map((doc) => [doc.data().departmentId, doc.data()]));
+  const movements = movementsSnapshot.docs.map((doc) => doc.data());
+
+  const departments = departmentsSnapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((department) => !departmentId || department.id === departmentId);
+
+  const rows = departments
+    .map((department) => {
+      const budget = budgets.get(department.id) || null;
+      const used = usageOf(movements.filter((m) => m.departmentId === department.id));
+
+      if (!budget && used.value === 0 && used.quantities.size === 0) return null;
+
+      const valueLimit = budget ? budget.valueLimit : null;
+      return {
+        departmentId: department.id,
+        departmentName: department.name,
+        month,
+        mode: budget ? budget.mode : null,
+        valueLimit,
+        actualValue: used.value,
+        remainingValue: valueLimit !== null ? roundMoney(valueLimit - used.value) : null,
+        percentUsed: valueLimit ? Math.round((used.value / valueLimit) * 10000) / 100 : null,
+        overBudget: valueLimit !== null && used.value > valueLimit,
+        products: (budget ? budget.productLimits : []).map((limit) => {
+          const actual = used.quantities.get(limit.productId) || 0;
+          return {
+            productId: limit.productId,
+            productName: limit.productName,
+            unit: limit.unit,
+            limit: limit.quantity,
+            actual,
+            remaining: limit.quantity - actual,
+            overQuota: actual > limit.quantity,
+          };
+        }),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.departmentName.localeCompare(b.departmentName));
+
+  return {
+    month,
+    totalBudget: roundMoney(rows.reduce((sum, row) => sum + (row.valueLimit || 0), 0)),
+    totalActual: roundMoney(rows.reduce((sum, row) => sum + row.actualValue, 0)),
+    departments: rows,
+  };
+};
@@ -0,0 +1,302 @@
+const { db } = require("../config/firebase");
+const InvoiceModel = require("../models/invoiceModel");
+const { codedError } = require("../utils/errors");
+const { roundMoney } = require("../models/taxModel");
+const CounterModel = require("../models/counterModel");
+const collection = db.collection("clients");
+
+// Catering and wholesale are the regular accounts
+const CLIENT_TYPES = ["catering", "wholesale", "other"];
+exports.CLIENT_TYPES = CLIENT_TYPES;
+
+// Who to talk to, and who the invoices are made out to
+const CONTACT_FIELDS = ["contactName", "phone", "email", "address", "city", "notes"];
+const BILLING_FIELDS = ["billingName", "billingAddress", "billingEmail", "taxId"];
+
+// Days between the invoice date and its due date, unless the client has its own
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+exports.DEFAULT_PAYMENT_TERMS_DAYS = DEFAULT_PAYMENT_TERMS_DAYS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age of an unpaid balance, in days since the invoice was issued
+const AGING_BUCKETS = [
+  { label: "0-30", maxDays: 30 },
+  { label: "31-60", maxDays: 60 },
+  { label: "61-90", maxDays: 90 },
+  { label: "90+", maxDays: Infinity },
+];
+exports.AGING_BUCKETS = AGING_BUCKETS.map((bucket) => bucket.label);
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toClient = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+const parseType = (type) => {
+  if (!CLIENT_TYPES.includes(type)) {
+    throw codedError("VALIDATION_ERROR", `type must be one of: ${CLIENT_TYPES.join(", ")}`);
+  }
+  return type;
+};
+
+const parsePaymentTerms = (value) => {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw codedError("VALIDATION_ERROR", "paymentTermsDays must be a whole number of days");
+  }
+  return days;
+};
+
+const trimmed = (value) => (typeof value === "string" ? value.trim() : "");
+
+// Values that identify a client: its name, tax ID, email and phone number
+const identityKeys = (client) => ({
+  name: trimmed(client.name).toLowerCase(),
+  taxId: trimmed(client.taxId).replace(/\s+/g, "").toUpperCase(),
+  email: trimmed(client.email).toLowerCase(),
+  phone: trimmed(client.phone).replace(/[^\d+]/g, ""),
+});
+
+const DUPLICATE_LABELS = { name: "name", taxId: "tax ID", email: "email", phone: "phone number" };
+
+// Clients already registered under the same name, tax ID, email or phone
+const findDuplicates = async (client, excludeId = null) => {
+  const keys = identityKeys(client);
+  const snapshot = await collection.get();
+  const duplicates = [];
+
+  snapshot.docs
+    .filter((doc) => doc.id !== excludeId)
+    .forEach((doc) => {
+      const existing = identityKeys(doc.data());
+      Object.keys(keys).forEach((field) => {
+        if (keys[field] && keys[field] === existing[field]) {
+          duplicates.push(`Same ${DUPLICATE_LABELS[field]} as ${doc.data().name} (${doc.id})`);
+        }
+      });
+    });
+
+  return duplicates;
+};
+
+exports.createClient = async (data) => {
+  if (!data.name || !data.name.trim()) {
+    throw codedError("VALIDATION_ERROR", "Client name is required");
+  }
+
+  const duplicates = await findDuplicates(data);
+  if (duplicates.length > 0) {
+    throw codedError("DUPLICATE_CLIENT", `Client already exists: ${duplicates.join(", ")}`, duplicates);
+  }
+
+  const clientData = {
+    name: data.name.trim(),
+    nameLower: data.name.trim().toLowerCase(),
+    type: parseType(data.type || "other"),
+    paymentTermsDays: data.paymentTermsDays !== undefined
+      ? parsePaymentTerms(data.paymentTermsDays)
+      : DEFAULT_PAYMENT_TERMS_DAYS,
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  [...CONTACT_FIELDS, ...BILLING_FIELDS].forEach((field) => {
+    clientData[field] = trimmed(data[field]);
+  });
+
+  const clientId = await CounterModel.nextId("clients", "cli-", 3);
+  await collection.doc(clientId).set(clientData);
+
+  return { id: clientId, ...clientData };
+};
+
+// Active clients with their outstanding balance (?includeInactive=true, ?type=)
+exports.getAllClients = async (filters = {}) => {
+  const [snapshot, invoices] = await Promise.all([collection.get(), InvoiceModel.getAllInvoices()]);
+  const includeInactive = filters.includeInactive === true || filters.includeInactive === "true";
+
+  const invoicesByClient = new Map();
+  invoices.forEach((invoice) => {
+    const list = invoicesByClient.get(invoice.clientId) || [];
+    list.push(invoice);
+    invoicesByClient.set(invoice.clientId, list);
+  });
+
+  return snapshot.docs
+    .map(toClient)
+    .filter((client) => includeInactive || client.isActive !== false)
+    .filter((client) => !filters.type || client.type === filters.type)
+    .map((client) => ({ ...client, ...InvoiceModel.summarizeInvoices(invoicesByClient.get(client.id) || []) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+exports.getClientById = async (id) => {
+  const doc = await collection.doc(id).get();
+  if (!doc.exists) {
+    throw codedError("CLIENT_NOT_FOUND", "Client not found");
+  }
+  return toClient(doc);
+};
+
+exports.updateClient = async (id, data) => {
+  const client = await exports.getClientById(id);
+  const updates = { updatedAt: new Date() };
+
+  if (data.name !== undefined) {
+    if (!data.name || !data.name.trim()) {
+      throw codedError("VALIDATION_ERROR", "Client name cannot be empty");
+    }
+    updates.name = data.name.trim();
+    updates.nameLower = updates.name.toLowerCase();
+  }
+
+  [...CONTACT_FIELDS, ...BILLING_FIELDS].forEach((field) => {
+    if (data[field] !== undefined) {
+      updates[field] = trimmed(data[field]);
+    }
+  });
+
+  if (data.type !== undefined) {
+    updates.type = parseType(data.type);
+  }
+
+  if (data.paymentTermsDays !== undefined) {
+    updates.paymentTermsDays = parsePaymentTerms(data.paymentTermsDays);
+  }
+
+  if (data.isActive !== undefined) {
+    updates.isActive = Boolean(data.isActive);
+  }
+
+  const identityChanged = Object.keys(DUPLICATE_LABELS).some((field) => updates[field] !== undefined);
+  const duplicates = identityChanged ? await findDuplicates({ ...client, ...updates }, id) : [];
+  if (duplicates.length > 0) {
+    throw codedError("DUPLICATE_CLIENT", `Client already exists: ${duplicates.join(", ")}`, duplicates);
+  }
+
+  await collection.doc(id).update(updates);
+
+  return {
+    message: "Client updated successfully",
+    updatedFields: Object.keys(updates).filter((key) => key !== "updatedAt" && key !== "nameLower"),
+  };
+};
+
+// A client with invoices stays on file (deactivate it instead), as the
+// invoices refer to it
+exports.deleteClient = async (id) => {
+  await exports.getClientById(id);
+
+  const invoices = await db.collection("invoices").where("clientId", "==", id).limit(1).get();
+  if (!invoices.empty) {
+    throw codedError(
+      "CLIENT_HAS_INVOICES",
+      "Client has invoices and cannot be deleted. Deactivate it instead (isActive: false)."
+    );
+  }
+
+  await collection.doc(id).delete();
+  return { message: "Client deleted successfully", clientId: id };
+};
+
+// Invoices of a client, newest first, with what the client owes
+exports.getClientInvoices = async (id) => {
+  const client = await exports.getClientById(id);
+  const invoices = await InvoiceModel.getAllInvoices({ clientId: id });
+
+  return {
+    clientId: client.id,
+    clientName: client.name,
+    ...InvoiceModel.summarizeInvoices(invoices),
+    invoices,
+  };
+};
+
+// Client an invoice is made out to; it has to be active
+exports.getInvoiceableClient = async (id) => {
+  const client = await exports.getClientById(id);
+  if (client.isActive === false) {
+    throw codedError("VALIDATION_ERROR", `Client ${client.name} is no longer active`);
+  }
+  return client;
+};
+
+const emptyAging = () => Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.label, 0]));
+
+// What each client owed on `asOf` (default today), by age of the invoices,
+// with the part already past its due date (?asOf=&clientId=&type=)
+exports.getReceivablesAging = async (filters = {}) => {
+  const asOf = filters.asOf ? new Date(filters.asOf) : new Date();
+  if (Number.isNaN(asOf.getTime())) {
+    throw codedError("VALIDATION_ERROR", "asOf must be a valid date");
+  }
+  asOf.setHours(23, 59, 59, 999);
+
+  const [snapshot, invoices] = await Promise.all([
+    collection.get(),
+    InvoiceModel.getAllInvoices(filters.clientId ? { clientId: filters.clientId } : {}),
+  ]);
+  const clients = new Map(snapshot.docs.map((doc) => [doc.id, toClient(doc)]));
+  const rows = new Map();
+
+  invoices.forEach((invoice) => {
+    const issuedAt = invoice.confirmedAt || invoice.createdAt;
+    if (invoice.status === "draft" || invoice.status === "cancelled" || !issuedAt || issuedAt > asOf) return;
+
+    // Payments received after asOf were still owed on that day
+    const paidByThen = InvoiceModel.invoicePayments(invoice)
+      .filter((payment) => payment.date <= asOf)
+      .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0);
+    const balance = roundMoney((Number(invoice.total) || 0) - paidByThen);
+    if (balance <= 0) return;
+
+    const client = clients.get(invoice.clientId);
+    if (filters.type && (!client || client.type !== filters.type)) return;
+
+    const row = rows.get(invoice.clientId) || {
+      clientId: invoice.clientId,
+      clientName: client ? client.name : invoice.clientName,
+      type: client ? client.type : null,
+      aging: emptyAging(),
+      total: 0,
+      overdue: 0,
+      invoiceCount: 0,
+      oldestInvoiceDays: 0,
+    };
+
+    const days = Math.floor((asOf - issuedAt) / DAY_MS);
+    const bucket = AGING_BUCKETS.find((b) => days <= b.maxDays);
+    row.aging[bucket.label] = roundMoney(row.aging[bucket.label] + balance);
+    row.total = roundMoney(row.total + balance);
+    if (invoice.dueDate && invoice.dueDate < asOf) {
+      row.overdue = roundMoney(row.overdue + balance);
+    }
+    row.invoiceCount++;
+    row.oldestInvoiceDays = Math.max(row.oldestInvoiceDays, days);
+    rows.set(invoice.clientId, row);
+  });
+
+  const clientRows = [...rows.values()].sort((a, b) => b.total - a.total);
+  const totals = clientRows.reduce(
+    (sum, row) => {
+      AGING_BUCKETS.forEach(({ label }) => {
+        sum.aging[label] = roundMoney(sum.aging[label] + row.aging[label]);
+      });
+      sum.total = roundMoney(sum.total + row.total);
+      sum.overdue = roundMoney(sum.overdue + row.overdue);
+      return sum;
+    },
+    { aging: emptyAging(), total: 0, overdue: 0 }
+  );
+
+  return { asOf, buckets: exports.AGING_BUCKETS, clients: clientRows, totals };
+};
@@ -0,0 +1,36 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("counters");
+
+// Sequential IDs with leading zeros (prod-001, MOV000001, INV0001, etc.),
+// one counter document per kind of record
+
+const formatId = (prefix, digits, count) => `${prefix}${count.toString().padStart(digits, "0")}`;
+
+// Reserve the next ID of a counter inside a transaction.
+// The counter is read now and only written by commit(), so the caller can keep
+// doing reads until it is ready to stage its writes.
+// Given the `records` collection, IDs of documents saved there before the
+// counter existed are skipped.
+const reserveId = async (transaction, name, prefix, digits, records = null) => {
+  const counterRef = collection.doc(name);
+  const counterDoc = await transaction.get(counterRef);
+  let count = counterDoc.exists ? counterDoc.data().count + 1 : 1;
+
+  while (records && (await transaction.get(records.doc(formatId(prefix, digits, count)))).exists) {
+    count += 1;
+  }
+
+  return {
+    id: formatId(prefix, digits, count),
+    commit: () => transaction.set(counterRef, { count }),
+  };
+};
+exports.reserveId = reserveId;
+
+// Next ID of a counter, in a transaction of its own
+exports.nextId = (name, prefix, digits) =>
+  db.runTransaction(async (transaction) => {
+    const reservation = await reserveId(transaction, name, prefix, digits);
+    reservation.commit();
+    return reservation.id;
+  });
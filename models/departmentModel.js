@@ -0,0 +1,156 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("departments");
+const movements = db.collection("stockMovements");
+
+const sameName = (a, b) =>
+  typeof a === "string" && typeof b === "string" && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Pick the department a name refers to, preferring an active one
+const matchByName = (docs, name) => {
+  const matches = docs.filter((doc) => sameName(doc.data().name, name));
+  return matches.find((doc) => doc.data().isActive !== false) || matches[0] || null;
+};
+
+const toDepartment = (doc) => (doc ? { id: doc.id, ...doc.data() } : null);
+
+// A name can contain "/", which no document ID does
+const canBeId = (reference) => !String(reference).includes("/");
+
+// Find a department by its ID, or by name for clients (and older records)
+// that only know the name
+exports.findDepartment = async (reference) => {
+  if (!reference || typeof reference !== "string") return null;
+
+  if (canBeId(reference)) {
+    const doc = await collection.doc(reference).get();
+    if (doc.exists) return toDepartment(doc);
+  }
+
+  const snapshot = await collection.get();
+  return toDepartment(matchByName(snapshot.docs, reference));
+};
+
+// Same lookup inside a transaction: `departmentId` is the reference, a plain
+// `department` name is accepted for older clients
+exports.resolveDepartmentInTransaction = async (transaction, { departmentId, department }) => {
+  const reference = departmentId || department;
+  if (!reference) return null;
+
+  if (canBeId(reference)) {
+    const doc = await transaction.get(collection.doc(String(reference)));
+    if (doc.exists) return toDepartment(doc);
+  }
+
+  if (!departmentId && typeof department === "string") {
+    const snapshot = await transaction.get(collection);
+    return toDepartment(matchByName(snapshot.docs, department));
+  }
+
+  return null;
+};
+
+// Current name of every department by ID, so reports show renamed
+// departments under their new name
+exports.getDepartmentNames = async () => {
+  const snapshot = await collection.get();
+  return new Map(snapshot.docs.map((doc) => [doc.id, doc.data().name]));
+};
+
+// Whether any movement refers to the department, as destination or as the
+// source of a transfer. Movements not migrated yet are matched by name.
+exports.isDepartmentInUse = async (department) => {
+  const snapshots = await Promise.all([
+    movements.where("departmentId", "==", department.id).limit(1).get(),
+    movements.where("fromDepartmentId", "==", department.id).limit(1).get(),
+    movements.where("department", "==", department.name).get(),
+    movements.where("fromDepartment", "==", department.name).get(),
+  ]);
+
+  const [byId, fromById, byName, fromByName] = snapshots;
+  return (
+    !byId.empty ||
+    !fromById.empty ||
+    byName.docs.some((doc) => !doc.data().departmentId) ||
+    fromByName.docs.some((doc) => !doc.data().fromDepartmentId)
+  );
+};
+
+// Number of movements per department ID (destination or transfer source)
+exports.getDepartmentUsage = async () => {
+  const [departmentsSnapshot, movementsSnapshot] = await Promise.all([collection.get(), movements.get()]);
+  const usage = {};
+
+  const idFor = (id, name) => id || (name ? matchByName(departmentsSnapshot.docs, name)?.id : null);
+
+  movementsSnapshot.forEach((doc) => {
+    const movement = doc.data();
+    const ids = new Set([
+      idFor(movement.departmentId, movement.department),
+      idFor(movement.fromDepartmentId, movement.fromDepartment),
+    ]);
+
+    ids.forEach((id) => {
+      if (id) usage[id] = (usage[id] || 0) + 1;
+    });
+  });
+
+  return usage;
+};
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 400;
+
+const commitInBatches = async (updates) => {
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+};
+
+// One-off migration of records that only stored the department name: fills
+// in departmentId (and fromDepartmentId on transfers) on movements and
+// departmentId on requisitions. Names that match no department are reported
+// and left as they are.
+exports.migrateDepartmentReferences = async () => {
+  const [departmentsSnapshot, movementsSnapshot, requisitionsSnapshot] = await Promise.all([
+    collection.get(),
+    movements.get(),
+    db.collection("requisitions").get(),
+  ]);
+
+  const unresolved = new Map();
+  const resolve = (name) => {
+    const match = matchByName(departmentsSnapshot.docs, name);
+    if (!match) unresolved.set(name, (unresolved.get(name) || 0) + 1);
+    return match;
+  };
+
+  const updates = [];
+  const addUpdates = (docs, fields) => {
+    docs.forEach((doc) => {
+      const record = doc.data();
+      const data = {};
+
+      fields.forEach(([idField, nameField]) => {
+        if (record[idField] || !record[nameField]) return;
+        const match = resolve(record[nameField]);
+        if (match) data[idField] = match.id;
+      });
+
+      if (Object.keys(data).length > 0) updates.push({ ref: doc.ref, data });
+    });
+  };
+
+  addUpdates(movementsSnapshot.docs, [["departmentId", "department"], ["fromDepartmentId", "fromDepartment"]]);
+  const movementUpdates = updates.length;
+  addUpdates(requisitionsSnapshot.docs, [["departmentId", "department"]]);
+
+  await commitInBatches(updates);
+
+  return {
+    movementsMigrated: movementUpdates,
+    requisitionsMigrated: updates.length - movementUpdates,
+    unresolved: [...unresolved.entries()].map(([department, count]) => ({ department, count })),
+  };
+};
@@ -0,0 +1,150 @@
+const { db } = require("../config/firebase");
+const { codedError } = require("../utils/errors");
+const collection = db.collection("departmentStock");
+const departments = db.collection("departments");
+
+// Stock held by departments that track their own inventory (tracksInventory on
+// the department). One document per department and product, in the product's
+// base unit. Distributions and incoming transfers add to it; returns, outgoing
+// transfers and reported consumption take from it.
+
+const holdingId = (departmentId, productId) => `${departmentId}_${productId}`;
+
+const roundQuantity = (value) => Math.round(value * 1000000) / 1000000;
+
+// Effect of each movement type on what the departments hold
+const HOLDING_EFFECTS = {
+  distribution: { department: 1 },
+  department_return: { department: -1 },
+  department_transfer: { department: 1, fromDepartment: -1 },
+  consumption: { department: -1 },
+};
+
+// Per department and product change a movement makes to department holdings;
+// a reversal undoes the changes of the type it reverses
+const holdingChanges = (movement) => {
+  const reversal = movement.type === "reversal";
+  const effects = HOLDING_EFFECTS[reversal ? movement.reversedType : movement.type];
+  if (!effects) return [];
+
+  const sign = reversal ? -1 : 1;
+  const changes = [];
+
+  Object.entries(effects).forEach(([field, direction]) => {
+    const departmentId = movement[`${field}Id`];
+    if (!departmentId) return;
+
+    (movement.products || []).forEach((p) => {
+      changes.push({
+        departmentId,
+        productId: p.productId,
+        productName: p.productName,
+        unit: p.unit,
+        delta: sign * direction * Number(p.quantity || 0),
+      });
+    });
+  });
+
+  return changes;
+};
+exports.holdingChanges = holdingChanges;
+
+// Read, inside a transaction, the holdings the given movements touch. Only
+// departments that track their inventory have holdings.
+exports.readHoldingsInTransaction = async (transaction, movements) => {
+  const changes = movements.flatMap(holdingChanges);
+  const departmentIds = [...new Set(changes.map((c) => c.departmentId))];
+
+  const tracked = new Set();
+  for (const departmentId of departmentIds) {
+    const doc = await transaction.get(departments.doc(departmentId));
+    if (doc.exists && doc.data().tracksInventory === true) tracked.add(departmentId);
+  }
+
+  const holdings = new Map();
+  const keys = [...new Set(
+    changes.filter((c) => tracked.has(c.departmentId)).map((c) => holdingId(c.departmentId, c.productId))
+  )];
+  for (const key of keys) {
+    const doc = await transaction.get(collection.doc(key));
+    holdings.set(key, doc.exists ? doc.data() : null);
+  }
+
+  return { tracked, holdings };
+};
+
+// Quantity a department held when the holdings were read
+exports.heldQuantity = (state, departmentId, productId) => {
+  const holding = state.holdings.get(holdingId(departmentId, productId));
+  return holding ? Number(holding.quantity) || 0 : 0;
+};
+
+// Stage the holding changes of a movement (or the difference between two
+// versions of it). Consumption cannot use more than the department holds;
+// other movements floor the holding at zero, as a department may have had
+// stock from before it started tracking.
+exports.stageHoldingChanges = (transaction, state, changes, { strict = false } = {}) => {
+  const totals = new Map();
+
+  changes
+    .filter((c) => state.tracked.has(c.departmentId))
+    .forEach((c) => {
+      const key = holdingId(c.departmentId, c.productId);
+      const entry = totals.get(key) || { ...c, delta: 0 };
+      entry.delta += c.delta;
+      totals.set(key, entry);
+    });
+
+  const now = new Date();
+  const errors = [];
+  const results = [];
+
+  totals.forEach((change, key) => {
+    if (change.delta === 0) return;
+
+    const current = state.holdings.get(key);
+    const previousQuantity = current ? Number(current.quantity) || 0 : 0;
+    const quantity = roundQuantity(previousQuantity + change.delta);
+
+    if (quantity < 0 && strict) {
+      errors.push(
+        `${change.productName || change.productId}: the department holds ${previousQuantity} ${change.unit || ""}`.trim()
+      );
+      return;
+    }
+
+    const holding = {
+      departmentId: change.departmentId,
+      productId: change.productId,
+      productName: change.productName || (current && current.productName) || "",
+      unit: change.unit || (current && current.unit) || "",
+      quantity: Math.max(0, quantity),
+      updatedAt: now,
+    };
+
+    transaction.set(collection.doc(key), holding);
+    results.push({ ...holding, previousQuantity });
+  });
+
+  if (errors.length > 0) {
+    throw codedError(
+      "INSUFFICIENT_STOCK",
+      `Consumption exceeds department stock: ${errors.join(", ")}`,
+      errors
+    );
+  }
+
+  return results;
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Current holdings of a department (empty for departments that do not track)
+exports.getDepartmentStock = async (departmentId, { includeEmpty = false } = {}) => {
+  const snapshot = await collection.where("departmentId", "==", departmentId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data(), updatedAt: toDate(doc.data().updatedAt) }))
+    .filter((holding) => includeEmpty || holding.quantity > 0)
+    .sort((a, b) => a.productName.localeCompare(b.productName));
+};
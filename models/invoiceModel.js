@@ -0,0 +1,844 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("invoices");
+const ProductModel = require("../models/productModel");
+const ClientModel = require("../models/clientModel");
+const MovementModel = require("../models/movementModel");
+const TaxModel = require("../models/taxModel");
+const { codedError } = require("../utils/errors");
+const CounterModel = require("../models/counterModel");
+
+// draft → confirmed → partially_paid → paid, or cancelled before any payment
+const INVOICE_STATUSES = ["draft", "confirmed", "partially_paid", "paid", "cancelled"];
+exports.INVOICE_STATUSES = INVOICE_STATUSES;
+
+// Statuses each status can move on to
+const STATUS_TRANSITIONS = {
+  draft: ["confirmed", "cancelled"],
+  confirmed: ["partially_paid", "paid", "cancelled"],
+  partially_paid: ["paid"],
+  paid: [],
+  cancelled: [],
+};
+
+// Lifecycle status of an invoice. Invoices stored before the lifecycle have a
+// `paid` flag and free-form statuses ("not paid", "Paid"...); they were all
+// issued, so anything not paid counts as confirmed.
+const invoiceStatus = (invoice) => {
+  if (INVOICE_STATUSES.includes(invoice.status)) return invoice.status;
+
+  const legacy = String(invoice.status || "").trim().toLowerCase();
+  if (invoice.paid === true || legacy === "paid") return "paid";
+  if (legacy === "cancelled" || legacy === "canceled") return "cancelled";
+  return "confirmed";
+};
+exports.invoiceStatus = invoiceStatus;
+
+const checkTransition = (invoice, status) => {
+  const current = invoiceStatus(invoice);
+  if (!STATUS_TRANSITIONS[current].includes(status)) {
+    throw codedError("INVALID_STATUS", `Invoice is ${current} and cannot be set to ${status}`);
+  }
+  return current;
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const roundMoney = TaxModel.roundMoney;
+
+const PAYMENT_METHODS = ["cash", "card", "transfer", "cheque"];
+exports.PAYMENT_METHODS = PAYMENT_METHODS;
+
+const toPayment = (payment) => ({
+  ...payment,
+  date: toDate(payment.date),
+  createdAt: toDate(payment.createdAt),
+});
+
+// Payments received for an invoice, oldest first. An invoice marked paid
+// before payments were recorded counts as paid in full when it was marked
+// (or issued).
+const invoicePayments = (invoice) => {
+  const payments = (invoice.payments || []).map(toPayment);
+
+  if (payments.length === 0 && invoiceStatus(invoice) === "paid") {
+    return [{
+      paymentId: null,
+      amount: Number(invoice.total) || 0,
+      method: null,
+      date: toDate(invoice.paidAt) || toDate(invoice.createdAt) || toDate(invoice.date),
+    }];
+  }
+
+  return payments.sort((a, b) => a.date - b.date);
+};
+exports.invoicePayments = invoicePayments;
+
+const amountPaid = (invoice) =>
+  roundMoney(invoicePayments(invoice).reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+
+// What is still owed on an invoice; drafts and cancelled invoices are not owed
+const outstandingAmount = (invoice) => {
+  const status = invoiceStatus(invoice);
+  if (status === "draft" || status === "cancelled") return 0;
+  return Math.max(0, roundMoney((Number(invoice.total) || 0) - amountPaid(invoice)));
+};
+exports.outstandingAmount = outstandingAmount;
+
+const toInvoice = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    status: invoiceStatus(data),
+    payments: (data.payments || []).map(toPayment),
+    amountPaid: amountPaid(data),
+    balanceDue: outstandingAmount(data),
+    dueDate: toDate(data.dueDate),
+    confirmedAt: toDate(data.confirmedAt),
+    paidAt: toDate(data.paidAt),
+    cancelledAt: toDate(data.cancelledAt),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw codedError("VALIDATION_ERROR", `${field} must be a valid date`);
+  }
+  return date;
+};
+
+// Check the sold lines and price them. Lines for catalogue products take the
+// product's name, a unit it defines and its tax rate; lines without a
+// productId (delivery, service...) need a productName and are taxed at the
+// default rate. A line may give its own taxRate.
+const buildInvoiceLines = async (products) => {
+  if (!Array.isArray(products) || products.length === 0) {
+    throw codedError("VALIDATION_ERROR", "Products must be a non-empty array");
+  }
+
+  const invalid = products
+    .filter((p) => {
+      const unitPrice = p.unitPrice ?? p.price;
+      return (
+        (!p.productId && !(typeof p.productName === "string" && p.productName.trim())) ||
+        typeof p.quantity !== "number" || !(p.quantity > 0) ||
+        unitPrice === undefined || unitPrice === null || unitPrice === "" || !(Number(unitPrice) >= 0)
+      );
+    })
+    .map((p) => `Invalid invoice line: ${JSON.stringify(p)}`);
+
+  if (invalid.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${invalid.join(", ")}`, invalid);
+  }
+
+  const productIds = [...new Set(products.map((p) => p.productId).filter(Boolean))];
+  const docs = productIds.length > 0
+    ? await db.getAll(...productIds.map((id) => db.collection("products").doc(id)))
+    : [];
+  const missing = docs.filter((doc) => !doc.exists).map((doc) => doc.id);
+  if (missing.length > 0) {
+    throw codedError("PRODUCT_NOT_FOUND", `Products not found: ${missing.join(", ")}`);
+  }
+  const catalogue = new Map(docs.map((doc) => [doc.id, doc.data()]));
+  const taxRates = await TaxModel.resolveTaxRates(catalogue);
+
+  const errors = [];
+  const lines = products.map((p, index) => {
+    const product = p.productId ? catalogue.get(p.productId) : null;
+    const unitPrice = roundMoney(Number(p.unitPrice ?? p.price));
+    let unit = p.unit || "unit";
+
+    if (product) {
+      const found = ProductModel.findUnit(product, p.unit);
+      if (!found) {
+        errors.push(
+          `Line ${index + 1}: unit "${p.unit}" is not defined for ${product.name} (${ProductModel.getUnitNames(product).join(", ")})`
+        );
+      } else {
+        unit = found.name;
+      }
+    }
+
+    let taxRate = product ? taxRates.get(p.productId) : TaxModel.DEFAULT_TAX_RATE;
+    try {
+      taxRate = TaxModel.parseTaxRate(p.taxRate, `Line ${index + 1}: taxRate`) ?? taxRate;
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return {
+      productId: p.productId || null,
+      productName: product ? product.name : p.productName.trim(),
+      description: p.description || "",
+      quantity: p.quantity,
+      unit,
+      unitPrice,
+      taxRate,
+      total: roundMoney(unitPrice * p.quantity),
+    };
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  return lines;
+};
+
+// Lines with their net, tax and gross amounts, and the invoice amounts: the
+// subtotal of the lines (at the prices given), the discount (an amount, on
+// the same prices), net, tax and total to pay, and the tax summary per rate.
+// Unit prices are net unless pricesIncludeTax is set.
+const invoiceAmounts = (lines, discount = 0, pricesIncludeTax = false) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.total, 0));
+  const amount = roundMoney(Number(discount) || 0);
+
+  if (amount < 0 || amount > subtotal) {
+    throw codedError("VALIDATION_ERROR", `discount must be between 0 and the subtotal (${subtotal})`);
+  }
+
+  const taxSummary = TaxModel.taxSummary(lines, amount, pricesIncludeTax);
+  const sum = (field) => roundMoney(taxSummary.reduce((total, rate) => total + rate[field], 0));
+
+  return {
+    products: lines.map((line) => ({ ...line, ...TaxModel.taxAmounts(line.total, line.taxRate, pricesIncludeTax) })),
+    pricesIncludeTax,
+    subtotal,
+    discount: amount,
+    netTotal: sum("netAmount"),
+    taxTotal: sum("taxAmount"),
+    total: sum("grossAmount"),
+    taxSummary,
+  };
+};
+
+const parsePricesIncludeTax = (value) => value === true || value === "true";
+
+// Client the invoice is made out to; the name is kept as it was on the invoice
+const resolveClient = async (clientId) => {
+  if (!clientId) {
+    throw codedError("VALIDATION_ERROR", "clientId is required");
+  }
+  return ClientModel.getInvoiceableClient(clientId);
+};
+
+// Due date as given, else the invoice date plus the client's payment terms
+const dueDateFor = (data, client, issuedAt) => {
+  const dueDate = parseDate(data.dueDate, "dueDate");
+  if (dueDate) return dueDate;
+
+  const days = client.paymentTermsDays ?? ClientModel.DEFAULT_PAYMENT_TERMS_DAYS;
+  return new Date(issuedAt.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Who the stock movements of an invoice are recorded under
+const stockManagerFor = (invoice, data) =>
+  String(data.stockManager || data.confirmedBy || invoice.createdBy || "Invoicing").trim();
+
+// Stage the sale of the invoiced catalogue products: they leave stock (at
+// `data.locationId`, else the default location) through a sale movement.
+// Free-text lines (delivery, service...) have no stock. Resolves to null when
+// nothing leaves stock.
+const stageSale = async (transaction, invoiceId, invoice, data = {}) => {
+  const stockLines = (invoice.products || []).filter((line) => line.productId);
+  if (stockLines.length === 0) return null;
+
+  return MovementModel.createStockMovementInTransaction(transaction, {
+    type: "sale",
+    invoiceId,
+    clientId: invoice.clientId,
+    client: invoice.clientName,
+    locationId: data.locationId,
+    stockManager: stockManagerFor(invoice, data),
+    notes: `Invoice ${invoiceId}`,
+    products: stockLines.map((line) => ({
+      productId: line.productId,
+      quantity: line.quantity,
+      unit: line.unit,
+    })),
+  });
+};
+
+exports.createInvoice = async (data, { status = "draft" } = {}) => {
+  const client = await resolveClient(data.clientId);
+  const lines = await buildInvoiceLines(data.products);
+  const amounts = invoiceAmounts(lines, data.discount, parsePricesIncludeTax(data.pricesIncludeTax));
+  const now = new Date();
+
+  // The number is reserved in the transaction that saves the invoice (and
+  // posts its sale), so a failed invoice leaves no gap in the numbering.
+  // Numbers of invoices saved before the counter are skipped, never overwritten.
+  return db.runTransaction(async (transaction) => {
+    const reservation = await CounterModel.reserveId(transaction, "invoices", "INV", 4, collection);
+    const invoiceId = reservation.id;
+
+    const invoice = {
+      id: invoiceId,
+      invoiceId,
+      clientId: client.id,
+      clientName: client.name,
+      status,
+      paid: false,
+      payments: [],
+      ...amounts,
+      dueDate: dueDateFor(data, client, now),
+      notes: data.notes || "",
+      createdBy: data.createdBy || null,
+      confirmedAt: status === "confirmed" ? now : null,
+      stockMovementId: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    if (status !== "confirmed") {
+      reservation.commit();
+      transaction.create(collection.doc(invoiceId), invoice);
+      return invoice;
+    }
+
+    // Issued straight away: the invoice and its sale commit together
+    const sale = await stageSale(transaction, invoiceId, invoice, data);
+    const confirmed = { ...invoice, stockMovementId: sale ? sale.movement.movementId : null };
+    reservation.commit();
+    transaction.create(collection.doc(invoiceId), confirmed);
+    return { ...confirmed, alerts: sale ? sale.alerts : [] };
+  });
+};
+
+// ?status=&clientId=&paid=true|false&startDate=&endDate= (on the invoice date)
+exports.getAllInvoices = async (filters = {}) => {
+  let query = collection;
+
+  if (filters.clientId) {
+    query = query.where("clientId", "==", filters.clientId);
+  }
+
+  const snapshot = await query.get();
+  const startDate = parseDate(filters.startDate, "startDate");
+  const endDate = parseDate(filters.endDate, "endDate");
+  if (endDate) endDate.setHours(23, 59, 59, 999);
+
+  let invoices = snapshot.docs
+    .map(toInvoice)
+    // On the lifecycle status, so that older invoices are found too
+    .filter((invoice) => !filters.status || filters.status === "all" || invoice.status === filters.status)
+    .filter((invoice) => filters.paid === undefined || invoice.paid === (filters.paid === true || filters.paid === "true"))
+    .filter((invoice) => !startDate || invoice.createdAt >= startDate)
+    .filter((invoice) => !endDate || invoice.createdAt <= endDate)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  if (filters.limit) {
+    invoices = invoices.slice(0, parseInt(filters.limit));
+  }
+
+  return invoices;
+};
+
+exports.getInvoiceById = async (id) => {
+  const doc = await collection.doc(id).get();
+
+  if (!doc.exists) {
+    throw codedError("INVOICE_NOT_FOUND", "Invoice not found");
+  }
+
+  return toInvoice(doc);
+};
+
+// Only drafts can be changed; a confirmed invoice is what the client received
+exports.updateInvoice = async (id, data) => {
+  const ref = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw codedError("INVOICE_NOT_FOUND", "Invoice not found");
+    }
+
+    const invoice = doc.data();
+    const status = invoiceStatus(invoice);
+    if (status !== "draft") {
+      throw codedError("INVALID_STATUS", `Invoice is ${status}, only drafts can be edited`);
+    }
+
+    const updates = { updatedAt: new Date() };
+
+    if (data.clientId !== undefined && data.clientId !== invoice.clientId) {
+      const client = await resolveClient(data.clientId);
+      updates.clientId = client.id;
+      updates.clientName = client.name;
+    }
+
+    if (data.products !== undefined || data.discount !== undefined || data.pricesIncludeTax !== undefined) {
+      // Drafts saved before tax was recorded are taxed at the default rate
+      const lines = data.products !== undefined
+        ? await buildInvoiceLines(data.products)
+        : invoice.products.map((line) => ({ ...line, taxRate: line.taxRate ?? TaxModel.DEFAULT_TAX_RATE }));
+      Object.assign(
+        updates,
+        invoiceAmounts(
+          lines,
+          data.discount !== undefined ? data.discount : invoice.discount,
+          data.pricesIncludeTax !== undefined ? parsePricesIncludeTax(data.pricesIncludeTax) : invoice.pricesIncludeTax === true
+        )
+      );
+    }
+
+    if (data.dueDate !== undefined) {
+      updates.dueDate = parseDate(data.dueDate, "dueDate");
+    }
+
+    if (data.notes !== undefined) {
+      updates.notes = data.notes;
+    }
+
+    transaction.update(ref, updates);
+
+    return {
+      message: "Invoice updated successfully",
+      invoiceId: id,
+      updatedFields: Object.keys(updates).filter((key) => key !== "updatedAt"),
+    };
+  });
+};
+
+// Issue a draft: the sold products leave stock in the same transaction, and
+// confirming fails (INSUFFICIENT_STOCK) when they are not in stock
+exports.confirmInvoice = async (id, data = {}) => {
+  const ref = collection.doc(id);
+
+  const { stockMovementId, alerts } = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw codedError("INVOICE_NOT_FOUND", "Invoice not found");
+    }
+
+    const invoice = doc.data();
+    checkTransition(invoice, "confirmed");
+
+    const sale = await stageSale(transaction, id, invoice, data);
+    const now = new Date();
+    transaction.update(ref, {
+      status: "confirmed",
+      confirmedAt: now,
+      stockMovementId: sale ? sale.movement.movementId : null,
+      updatedAt: now,
+    });
+
+    return { stockMovementId: sale ? sale.movement.movementId : null, alerts: sale ? sale.alerts : [] };
+  });
+
+  return { message: "Invoice confirmed successfully", invoiceId: id, status: "confirmed", stockMovementId, alerts };
+};
+
+// Cancel an invoice; the products it sold go back to stock through a reversal
+// of its sale movement
+const cancelInvoice = async (id, data = {}) => {
+  const ref = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw codedError("INVOICE_NOT_FOUND", "Invoice not found");
+    }
+
+    const invoice = doc.data();
+    const previousStatus = checkTransition(invoice, "cancelled");
+    const reason = data.reason && data.reason.trim()
+      ? `Invoice ${id} cancelled: ${data.reason.trim()}`
+      : `Invoice ${id} cancelled`;
+
+    let stockReturnMovementId = null;
+    if (invoice.stockMovementId) {
+      const sale = await transaction.get(db.collection("stockMovements").doc(invoice.stockMovementId));
+      // A sale already given back (or removed) has nothing left to return
+      if (sale.exists && !sale.data().reversedBy) {
+        const reversal = await MovementModel.reverseMovementInTransaction(transaction, invoice.stockMovementId, {
+          stockManager: stockManagerFor(invoice, data),
+          reason,
+        });
+        stockReturnMovementId = reversal.movementId;
+      }
+    }
+
+    const now = new Date();
+    transaction.update(ref, {
+      status: "cancelled",
+      paid: false,
+      cancelledAt: now,
+      cancelReason: data.reason ? data.reason.trim() : "",
+      stockReturnMovementId,
+      updatedAt: now,
+    });
+
+    return { previousStatus, stockReturnMovementId };
+  });
+};
+
+// Move an invoice along its lifecycle (see STATUS_TRANSITIONS). Confirming
+// and cancelling move stock; `data` may carry the stockManager, locationId
+// and a cancellation reason.
+exports.updateInvoiceStatus = async (id, status, data = {}) => {
+  if (!INVOICE_STATUSES.includes(status)) {
+    throw codedError("VALIDATION_ERROR", `status must be one of: ${INVOICE_STATUSES.join(", ")}`);
+  }
+
+  if (status === "confirmed") {
+    const result = await exports.confirmInvoice(id, data);
+    return { ...result, previousStatus: "draft" };
+  }
+
+  if (status === "cancelled") {
+    const { previousStatus, stockReturnMovementId } = await cancelInvoice(id, data);
+    return { message: "Invoice marked as cancelled", invoiceId: id, status, previousStatus, stockReturnMovementId };
+  }
+
+  // Being paid follows from the payments recorded; marking an invoice paid
+  // records a payment of its balance (with data.method, data.date...)
+  if (status === "paid") {
+    const { payment, previousStatus } = await exports.recordPayment(id, data, { settle: true });
+    return { message: "Invoice marked as paid", invoiceId: id, status, previousStatus, payment };
+  }
+
+  const invoice = await exports.getInvoiceById(id);
+  if (status === "partially_paid" && STATUS_TRANSITIONS[invoice.status].includes(status)) {
+    throw codedError(
+      "INVALID_STATUS",
+      "An invoice becomes partially_paid when a payment is recorded (POST /api/invoices/:id/payments)"
+    );
+  }
+  throw codedError("INVALID_STATUS", `Invoice is ${invoice.status} and cannot be set to ${status}`);
+};
+
+const parsePayment = (data, balance) => {
+  const amount = roundMoney(Number(data.amount));
+  const errors = [];
+
+  if (data.amount === undefined || data.amount === null || data.amount === "" || !(amount > 0)) {
+    errors.push("amount must be a positive number");
+  } else if (amount > balance) {
+    errors.push(`amount (${amount}) is more than the balance due (${balance})`);
+  }
+  if (!PAYMENT_METHODS.includes(data.method)) {
+    errors.push(`method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+  }
+
+  const date = parseDate(data.date, "date") || new Date();
+  if (date > new Date()) {
+    errors.push("date cannot be in the future");
+  }
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  return {
+    amount,
+    method: data.method,
+    date,
+    reference: data.reference ? String(data.reference).trim() : "",
+    notes: data.notes || "",
+    recordedBy: data.recordedBy || null,
+  };
+};
+
+// Status of an issued invoice once `paid` of it has been paid
+const paymentStatus = (invoice, paid) => {
+  if (paid <= 0) return "confirmed";
+  return paid >= roundMoney(Number(invoice.total) || 0) ? "paid" : "partially_paid";
+};
+
+// Record a payment received for a confirmed or partially paid invoice; the
+// invoice is paid once nothing is left to pay. A payment cannot be more than
+// the balance due; with `settle` it is the balance due.
+exports.recordPayment = async (id, data = {}, { settle = false } = {}) => {
+  const ref = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw codedError("INVOICE_NOT_FOUND", "Invoice not found");
+    }
+
+    const invoice = doc.data();
+    const previousStatus = invoiceStatus(invoice);
+    if (previousStatus !== "confirmed" && previousStatus !== "partially_paid") {
+      throw codedError("INVALID_STATUS", `Invoice is ${previousStatus}, payments are recorded for confirmed invoices`);
+    }
+
+    const balance = outstandingAmount(invoice);
+    const now = new Date();
+    const paymentNumber = (invoice.paymentCount || 0) + 1;
+    const payment = {
+      paymentId: `${id}-P${paymentNumber}`,
+      ...parsePayment(settle ? { ...data, amount: balance } : data, balance),
+      createdAt: now,
+    };
+
+    const payments = [...(invoice.payments || []), payment];
+    const paid = amountPaid({ ...invoice, payments });
+    const status = paymentStatus(invoice, paid);
+
+    transaction.update(ref, {
+      payments,
+      paymentCount: paymentNumber,
+      status,
+      paid: status === "paid",
+      paidAt: status === "paid" ? payment.date : null,
+      updatedAt: now,
+    });
+
+    return {
+      message: status === "paid" ? "Payment recorded, invoice paid in full" : "Payment recorded successfully",
+      invoiceId: id,
+      payment,
+      amountPaid: paid,
+      balanceDue: roundMoney((Number(invoice.total) || 0) - paid),
+      status,
+      previousStatus,
+    };
+  });
+};
+
+// Payments of an invoice with what is left to pay
+exports.getInvoicePayments = async (id) => {
+  const invoice = await exports.getInvoiceById(id);
+
+  return {
+    invoiceId: id,
+    status: invoice.status,
+    total: invoice.total,
+    amountPaid: invoice.amountPaid,
+    balanceDue: invoice.balanceDue,
+    payments: invoice.payments.sort((a, b) => a.date - b.date),
+  };
+};
+
+// Remove a payment recorded by mistake; the invoice status follows the
+// payments left
+exports.deletePayment = async (id, paymentId) => {
+  const ref = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw codedError("INVOICE_NOT_FOUND", "Invoice not found");
+    }
+
+    const invoice = doc.data();
+    const payments = invoice.payments || [];
+    if (!payments.some((payment) => payment.paymentId === paymentId)) {
+      throw codedError("PAYMENT_NOT_FOUND", `Payment ${paymentId} not found on invoice ${id}`);
+    }
+
+    const remaining = payments.filter((payment) => payment.paymentId !== paymentId);
+    const paid = roundMoney(remaining.reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+    const status = paymentStatus(invoice, paid);
+    const lastPayment = remaining.map(toPayment).reduce((last, payment) => (!last || payment.date > last ? payment.date : last), null);
+
+    transaction.update(ref, {
+      payments: remaining,
+      status,
+      paid: status === "paid",
+      paidAt: status === "paid" ? lastPayment : null,
+      updatedAt: new Date(),
+    });
+
+    return {
+      message: "Payment deleted successfully",
+      invoiceId: id,
+      paymentId,
+      amountPaid: paid,
+      balanceDue: roundMoney((Number(invoice.total) || 0) - paid),
+      status,
+      previousStatus: invoiceStatus(invoice),
+    };
+  });
+};
+
+// Only drafts are deleted; confirmed invoices are cancelled instead
+exports.deleteInvoice = async (id) => {
+  const ref = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw codedError("INVOICE_NOT_FOUND", "Invoice not found");
+    }
+
+    const status = invoiceStatus(doc.data());
+    if (status !== "draft") {
+      throw codedError("INVALID_STATUS", `Invoice is ${status}, only drafts can be deleted. Cancel it instead.`);
+    }
+
+    transaction.delete(ref);
+    return { message: "Invoice deleted successfully", invoiceId: id };
+  });
+};
+
+// Invoice count, amounts and outstanding balance of a set of invoices (a
+// client's history); drafts and cancelled invoices are not owed
+exports.summarizeInvoices = (invoices) => {
+  const issued = invoices.filter((invoice) => invoice.status !== "draft" && invoice.status !== "cancelled");
+  const totalInvoiced = issued.reduce((sum, invoice) => sum + (Number(invoice.total) || 0), 0);
+  const outstandingBalance = issued.reduce((sum, invoice) => sum + outstandingAmount(invoice), 0);
+  const lastInvoice = issued.reduce((last, invoice) => (!last || invoice.createdAt > last.createdAt ? invoice : last), null);
+
+  return {
+    invoiceCount: issued.length,
+    draftCount: invoices.filter((invoice) => invoice.status === "draft").length,
+    totalInvoiced: roundMoney(totalInvoiced),
+    totalPaid: roundMoney(totalInvoiced - outstandingBalance),
+    outstandingBalance: roundMoney(outstandingBalance),
+    lastInvoiceAt: lastInvoice ? lastInvoice.createdAt : null,
+  };
+};
+
+// Invoiced amounts leave out drafts and cancelled invoices
+exports.getInvoiceStats = async () => {
+  const snapshot = await collection.get();
+  const invoices = snapshot.docs.map(toInvoice);
+  const monthStart = new Date();
+  monthStart.setDate(1);
+  monthStart.setHours(0, 0, 0, 0);
+
+  const byStatus = Object.fromEntries(INVOICE_STATUSES.map((status) => [status, 0]));
+  let totalInvoiced = 0;
+  let totalPaid = 0;
+  let totalTax = 0;
+  let issuedCount = 0;
+  const thisMonth = { count: 0, amount: 0 };
+
+  invoices.forEach((invoice) => {
+    byStatus[invoice.status] = (byStatus[invoice.status] || 0) + 1;
+    if (invoice.status === "draft" || invoice.status === "cancelled") return;
+
+    const total = Number(invoice.total) || 0;
+    issuedCount++;
+    totalInvoiced += total;
+    totalPaid += invoice.amountPaid;
+    totalTax += Number(invoice.taxTotal) || 0;
+    if (invoice.createdAt >= monthStart) {
+      thisMonth.count++;
+      thisMonth.amount += total;
+    }
+  });
+
+  return {
+    totalInvoices: invoices.length,
+    byStatus,
+    totalInvoiced: roundMoney(totalInvoiced),
+    totalPaid: roundMoney(totalPaid),
+    totalOutstanding: roundMoney(totalInvoiced - totalPaid),
+    totalTax: roundMoney(totalTax),
+    averageInvoice: issuedCount > 0 ? roundMoney(totalInvoiced / issuedCount) : 0,
+    thisMonth: { count: thisMonth.count, amount: roundMoney(thisMonth.amount) },
+  };
+};
+
+const TAX_REPORT_BASES = ["invoiced", "payments"];
+exports.TAX_REPORT_BASES = TAX_REPORT_BASES;
+
+// Tax per rate over a period (?startDate=&endDate=, this month by default).
+// With basis=invoiced (the default) invoices count in full on the day they
+// were issued; with basis=payments tax counts as payments come in, each
+// payment carrying the rates of its invoice in proportion. Invoices saved
+// before tax was recorded have no breakdown and are totalled apart.
+exports.getTaxReport = async (filters = {}) => {
+  const basis = filters.basis || "invoiced";
+  if (!TAX_REPORT_BASES.includes(basis)) {
+    throw codedError("VALIDATION_ERROR", `basis must be one of: ${TAX_REPORT_BASES.join(", ")}`);
+  }
+
+  const startDate = parseDate(filters.startDate, "startDate") || new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+  const endDate = parseDate(filters.endDate, "endDate") || new Date();
+  endDate.setHours(23, 59, 59, 999);
+  if (startDate > endDate) {
+    throw codedError("VALIDATION_ERROR", "startDate must be before endDate");
+  }
+
+  const snapshot = await collection.get();
+  const inPeriod = (date) => date && date >= startDate && date <= endDate;
+  const rates = new Map();
+  const invoiceIds = new Set();
+  const withoutTax = { invoiceIds: new Set(), amount: 0 };
+
+  // `share` of the invoice falls in the period
+  const add = (invoice, share) => {
+    if (!Array.isArray(invoice.taxSummary)) {
+      withoutTax.invoiceIds.add(invoice.id);
+      withoutTax.amount += (Number(invoice.total) || 0) * share;
+      return;
+    }
+
+    invoiceIds.add(invoice.id);
+    invoice.taxSummary.forEach((summary) => {
+      const entry = rates.get(summary.rate) || { rate: summary.rate, netAmount: 0, taxAmount: 0, grossAmount: 0, invoiceIds: new Set() };
+      entry.netAmount += summary.netAmount * share;
+      entry.taxAmount += summary.taxAmount * share;
+      entry.grossAmount += summary.grossAmount * share;
+      entry.invoiceIds.add(invoice.id);
+      rates.set(summary.rate, entry);
+    });
+  };
+
+  snapshot.docs.map(toInvoice).forEach((invoice) => {
+    if (invoice.status === "draft" || invoice.status === "cancelled") return;
+
+    if (basis === "invoiced") {
+      if (inPeriod(invoice.confirmedAt || invoice.createdAt)) add(invoice, 1);
+      return;
+    }
+
+    const total = Number(invoice.total) || 0;
+    invoicePayments(invoice)
+      .filter((payment) => inPeriod(payment.date))
+      .forEach((payment) => add(invoice, total > 0 ? (Number(payment.amount) || 0) / total : 0));
+  });
+
+  const byRate = [...rates.values()]
+    .sort((a, b) => a.rate - b.rate)
+    .map((entry) => ({
+      rate: entry.rate,
+      netAmount: roundMoney(entry.netAmount),
+      taxAmount: roundMoney(entry.taxAmount),
+      grossAmount: roundMoney(entry.grossAmount),
+      invoiceCount: entry.invoiceIds.size,
+    }));
+  const sum = (field) => roundMoney(byRate.reduce((total, entry) => total + entry[field], 0));
+
+  return {
+    basis,
+    startDate,
+    endDate,
+    byRate,
+    totals: { netAmount: sum("netAmount"), taxAmount: sum("taxAmount"), grossAmount: sum("grossAmount") },
+    invoiceCount: invoiceIds.size,
+    withoutTax: { invoiceCount: withoutTax.invoiceIds.size, amount: roundMoney(withoutTax.amount) },
+  };
+};
+
+// Case-insensitive match on the invoice number, client, products and notes
+exports.searchInvoices = async (term) => {
+  const needle = String(term || "").trim().toLowerCase();
+  if (!needle) {
+    throw codedError("VALIDATION_ERROR", "A search term is required");
+  }
+
+  const snapshot = await collection.get();
+
+  return snapshot.docs
+    .map(toInvoice)
+    .filter((invoice) =>
+      [
+        invoice.invoiceId || invoice.id,
+        invoice.clientName,
+        invoice.notes,
+        ...(invoice.products || []).map((p) => p.productName),
+      ].some((value) => typeof value === "string" && value.toLowerCase().includes(needle))
+    )
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
@@ -0,0 +1,276 @@
+const { db } = require("../config/firebase");
+const PDFDocument = require("pdfkit");
+const bwipjs = require("bwip-js");
+const { codedError } = require("../utils/errors");
+
+// Shelf and container labels, 60 x 40 mm, as PDF (one label per page, for
+// office printers) or ZPL (for Zebra label printers). Each label shows the
+// product name and unit, a barcode or QR code, and the lot, receipt date and
+// expiry when they are known. The printed code is one the scan lookup
+// (GET /api/products/lookup/:code) resolves back to the product.
+
+const LABEL_FORMATS = ["pdf", "zpl", "json"];
+const SYMBOLOGIES = ["barcode", "qr"];
+exports.LABEL_FORMATS = LABEL_FORMATS;
+exports.SYMBOLOGIES = SYMBOLOGIES;
+
+// Labels in one request, copies included
+const MAX_LABELS = 500;
+
+const LABEL_WIDTH_MM = 60;
+const LABEL_HEIGHT_MM = 40;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// dd/mm/yyyy, as movement dates are shown
+const formatDate = (value) => {
+  const date = toDate(value);
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return `${String(date.getDate()).padStart(2, "0")}/${String(date.getMonth() + 1).padStart(2, "0")}/${date.getFullYear()}`;
+};
+
+// Linear symbology of each barcode type; SKUs and supplier codes use Code 128
+const BARCODE_SYMBOLOGIES = { ean13: "ean13", ean8: "ean8", upc: "upca" };
+
+// Code printed for a product counted in `unit`: the barcode of that unit, else
+// the SKU, else the product ID
+const labelCode = (productId, product, unit) => {
+  const baseUnit = product.unit || "unit";
+  const forUnit = (barcode) => (barcode.unit || baseUnit).toLowerCase() === String(unit || baseUnit).toLowerCase();
+  const barcode = (product.barcodes || []).find(forUnit);
+
+  if (barcode) {
+    return { code: barcode.code, symbology: BARCODE_SYMBOLOGIES[barcode.type] || "code128" };
+  }
+  return { code: product.sku || productId, symbology: "code128" };
+};
+
+// Options shared by all label requests (query string values)
+const parseOptions = (options = {}) => {
+  const format = options.format || "pdf";
+  const symbology = options.symbology || "barcode";
+  const copies = options.copies !== undefined ? Number(options.copies) : 1;
+
+  if (!LABEL_FORMATS.includes(format)) {
+    throw codedError("VALIDATION_ERROR", `format must be one of: ${LABEL_FORMATS.join(", ")}`);
+  }
+  if (!SYMBOLOGIES.includes(symbology)) {
+    throw codedError("VALIDATION_ERROR", `symbology must be one of: ${SYMBOLOGIES.join(", ")}`);
+  }
+  if (!Number.isInteger(copies) || copies < 1) {
+    throw codedError("VALIDATION_ERROR", "copies must be a positive whole number");
+  }
+
+  return { format, symbology, copies };
+};
+exports.parseOptions = parseOptions;
+
+const checkLabelCount = (labels) => {
+  const total = labels.reduce((sum, label) => sum + label.copies, 0);
+  if (total > MAX_LABELS) {
+    throw codedError("VALIDATION_ERROR", `${total} labels requested, at most ${MAX_LABELS} can be printed at once`);
+  }
+  return labels;
+};
+
+const buildLabel = (productId, product, { unit, lotNumber, receivedAt, expiryDate, copies }) => {
+  const labelUnit = unit || product.unit || "unit";
+
+  return {
+    productId,
+    productName: product.name,
+    unit: labelUnit,
+    ...labelCode(productId, product, labelUnit),
+    lotNumber: lotNumber || null,
+    receivedAt: formatDate(receivedAt),
+    expiryDate: formatDate(expiryDate),
+    copies,
+  };
+};
+
+// Labels of one product: a shelf label, or one label per lot in stock with
+// `lots` set
+exports.getProductLabels = async (productId, options = {}) => {
+  const { copies } = parseOptions(options);
+  const doc = await db.collection("products").doc(productId).get();
+
+  if (!doc.exists) {
+    throw codedError("PRODUCT_NOT_FOUND", "Product not found");
+  }
+
+  const product = doc.data();
+  const byLot = options.lots === true || options.lots === "true";
+  const lots = (product.lots || []).filter((lot) => Number(lot.quantity) > 0);
+
+  if (!byLot || lots.length === 0) {
+    return checkLabelCount([buildLabel(doc.id, product, { copies })]);
+  }
+
+  return checkLabelCount(
+    lots.map((lot) => buildLabel(doc.id, product, { ...lot, copies }))
+  );
+};
+
+// Labels for every line of a stock_in movement, with the lots it received and
+// the date of receipt. With `perUnit` set there is one label per unit received
+// (per case for lines entered in cases), instead of `copies` per line and lot.
+exports.getMovementLabels = async (movementId, options = {}) => {
+  const { copies } = parseOptions(options);
+  const perUnit = options.perUnit === true || options.perUnit === "true";
+  const doc = await db.collection("stockMovements").doc(movementId).get();
+
+  if (!doc.exists) {
+    throw codedError("MOVEMENT_NOT_FOUND", "Movement not found", [`Movement with ID ${movementId} does not exist`]);
+  }
+
+  const movement = doc.data();
+  if (movement.type !== "stock_in") {
+    throw codedError("VALIDATION_ERROR", "Labels can only be printed for stock_in movements");
+  }
+
+  const lines = movement.products || [];
+  const productIds = [...new Set(lines.map((line) => line.productId).filter(Boolean))];
+  const productDocs = productIds.length > 0
+    ? await db.getAll(...productIds.map((id) => db.collection("products").doc(id)))
+    : [];
+  const products = new Map(productDocs.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+
+  const labels = lines.flatMap((line) => {
+    // A deleted product is labelled from what the movement recorded
+    const product = products.get(line.productId) || { name: line.productName, unit: line.unit };
+    const unit = line.enteredUnit || line.unit;
+    const factor = Number(line.conversionFactor) || 1;
+    const lots = Array.isArray(line.lots) && line.lots.length > 0
+      ? line.lots
+      : [{ quantity: line.quantity }];
+
+    return lots.map((lot) =>
+      buildLabel(line.productId, product, {
+        unit,
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        receivedAt: movement.timestamp,
+        copies: perUnit ? Math.max(1, Math.ceil(Number(lot.quantity) / factor)) : copies,
+      })
+    );
+  });
+
+  return checkLabelCount(labels);
+};
+
+// Lot, receipt and expiry, as printed under the unit
+const detailLines = (label) =>
+  [
+    label.lotNumber ? `Lot ${label.lotNumber}` : null,
+    label.receivedAt ? `Received ${label.receivedAt}` : null,
+    label.expiryDate ? `Expires ${label.expiryDate}` : null,
+  ].filter(Boolean);
+
+const MM = 72 / 25.4;
+
+const barcodeImage = (label, symbology) =>
+  bwipjs.toBuffer(
+    symbology === "qr"
+      ? { bcid: "qrcode", text: label.code, scale: 4 }
+      : { bcid: label.symbology, text: label.code, scale: 3, height: 10, includetext: true, textxalign: "center" }
+  );
+
+exports.renderPdf = async (labels, { symbology = "barcode" } = {}) => {
+  const width = LABEL_WIDTH_MM * MM;
+  const height = LABEL_HEIGHT_MM * MM;
+  const margin = 3 * MM;
+  const doc = new PDFDocument({ size: [width, height], margin: 0, autoFirstPage: false });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  for (const label of labels) {
+    const image = await barcodeImage(label, symbology);
+    const qr = symbology === "qr";
+    const textWidth = qr ? width - 2 * margin - 22 * MM : width - 2 * margin;
+
+    for (let copy = 0; copy < label.copies; copy++) {
+      doc.addPage();
+      doc.font("Helvetica-Bold").fontSize(10)
+        .text(label.productName, margin, margin, { width: width - 2 * margin, height: 12, ellipsis: true, lineBreak: false });
+      doc.font("Helvetica").fontSize(8).text(label.unit, margin, margin + 13, { width: textWidth });
+
+      let y = margin + 23;
+      detailLines(label).forEach((line) => {
+        doc.fontSize(6.5).text(line, margin, y, { width: textWidth, lineBreak: false });
+        y += 8;
+      });
+
+      if (qr) {
+        doc.image(image, width - margin - 20 * MM, height - margin - 20 * MM, { fit: [20 * MM, 20 * MM] });
+        doc.fontSize(6).text(label.code, margin, height - margin - 7, { width: textWidth, lineBreak: false });
+      } else {
+        doc.image(image, margin, height - margin - 16 * MM, {
+          fit: [width - 2 * margin, 16 * MM],
+          align: "center",
+          valign: "bottom",
+        });
+      }
+    }
+  }
+
+  doc.end();
+  return done;
+};
+
+// 203 dpi printers: 8 dots per millimetre
+const DOTS_PER_MM = 8;
+
+// Field data goes through ^FH, so the ZPL control characters can be escaped
+const zplText = (value) =>
+  String(value ?? "")
+    .replace(/_/g, "_5F")
+    .replace(/\^/g, "_5E")
+    .replace(/~/g, "_7E");
+
+// ^FD of GTIN barcodes takes the code without its check digit; the printer
+// adds it
+const zplBarcode = (label) => {
+  switch (label.symbology) {
+    case "ean13":
+      return `^BEN,90,Y,N^FD${label.code.slice(0, 12)}^FS`;
+    case "ean8":
+      return `^B8N,90,Y,N^FD${label.code.slice(0, 7)}^FS`;
+    case "upca":
+      return `^BUN,90,Y,N,Y^FD${label.code.slice(0, 11)}^FS`;
+    default:
+      return `^BCN,90,Y,N,N^FH_^FD${zplText(label.code)}^FS`;
+  }
+};
+
+const zplLabel = (label, symbology) => {
+  const width = LABEL_WIDTH_MM * DOTS_PER_MM;
+  const height = LABEL_HEIGHT_MM * DOTS_PER_MM;
+  const margin = 3 * DOTS_PER_MM;
+  const qr = symbology === "qr";
+  const textWidth = qr ? width - 2 * margin - 176 : width - 2 * margin;
+
+  const fields = [
+    `^FO${margin},${margin}^A0N,30,30^FB${width - 2 * margin},1,0,L^FH_^FD${zplText(label.productName)}^FS`,
+    `^FO${margin},${margin + 36}^A0N,22,22^FH_^FD${zplText(label.unit)}^FS`,
+    ...detailLines(label).map(
+      (line, index) => `^FO${margin},${margin + 64 + index * 22}^A0N,18,18^FB${textWidth},1,0,L^FH_^FD${zplText(line)}^FS`
+    ),
+  ];
+
+  if (qr) {
+    fields.push(`^FO${width - margin - 160},${height - margin - 170}^BQN,2,5^FH_^FDMA,${zplText(label.code)}^FS`);
+    fields.push(`^FO${margin},${height - margin - 18}^A0N,18,18^FB${textWidth},1,0,L^FH_^FD${zplText(label.code)}^FS`);
+  } else {
+    fields.push(`^FO${margin},${height - margin - 120}^BY2${zplBarcode(label)}`);
+  }
+
+  return ["^XA", "^CI28", `^PW${width}`, `^LL${height}`, ...fields, `^PQ${label.copies}`, "^XZ"].join("\n");
+};
+
+exports.renderZpl = (labels, { symbology = "barcode" } = {}) =>
+  labels.map((label) => zplLabel(label, symbology)).join("\n");
@@ -0,0 +1,253 @@
+const { db } = require("../config/firebase");
+const ProductModel = require("../models/productModel");
+const { codedError } = require("../utils/errors");
+const { roundMoney } = require("../models/taxModel");
+const CounterModel = require("../models/counterModel");
+const collection = db.collection("stockLocations");
+
+const LOCATION_TYPES = ["storeroom", "cold_room", "freezer", "dry_store", "other"];
+exports.LOCATION_TYPES = LOCATION_TYPES;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toLocation = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+const parseType = (type) => {
+  if (!LOCATION_TYPES.includes(type)) {
+    throw codedError("VALIDATION_ERROR", `type must be one of: ${LOCATION_TYPES.join(", ")}`);
+  }
+  return type;
+};
+
+const findByName = async (name, excludeId = null) => {
+  const snapshot = await collection.where("nameLower", "==", name.trim().toLowerCase()).get();
+  return snapshot.docs.find((doc) => doc.id !== excludeId && doc.data().isActive !== false) || null;
+};
+
+// Quantity of a product at a location
+const quantityAt = (product, location) =>
+  location.isDefault
+    ? ProductModel.getDefaultLocationQuantity(
+      ProductModel.getStockLevel(product),
+      ProductModel.getLocationStock(product)
+    )
+    : Number(ProductModel.getLocationStock(product)[location.id] || 0);
+exports.quantityAt = quantityAt;
+
+// The first location becomes the default one: it holds all stock that has not
+// been placed at another location, including stock from before locations
+// existed. It stays the default for good.
+exports.createLocation = async (data) => {
+  if (!data.name || !data.name.trim()) {
+    throw codedError("VALIDATION_ERROR", "Location name is required");
+  }
+
+  const duplicate = await findByName(data.name);
+  if (duplicate) {
+    throw codedError("DUPLICATE_LOCATION", `Location "${data.name.trim()}" already exists with ID: ${duplicate.id}`);
+  }
+
+  const existing = await collection.where("isDefault", "==", true).limit(1).get();
+
+  const location = {
+    name: data.name.trim(),
+    nameLower: data.name.trim().toLowerCase(),
+    type: parseType(data.type || "storeroom"),
+    description: data.description || "",
+    isDefault: existing.empty,
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const locationId = await CounterModel.nextId("stockLocations", "loc-", 3);
+  await collection.doc(locationId).set(location);
+
+  return { id: locationId, ...location };
+};
+
+exports.getAllLocations = async (filters = {}) => {
+  const snapshot = await collection.get();
+  const includeInactive = filters.includeInactive === true || filters.includeInactive === "true";
+
+  return snapshot.docs
+    .map(toLocation)
+    .filter((location) => includeInactive || location.isActive !== false)
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.name.localeCompare(b.name));
+};
+
+exports.getLocationById = async (id) => {
+  const doc = await collection.doc(id).get();
+
+  if (!doc.exists) {
+    throw codedError("LOCATION_NOT_FOUND", "Location not found");
+  }
+
+  return toLocation(doc);
+};
+
+const holdsStock = async (location) => {
+  const snapshot = await db.collection("products").get();
+  return snapshot.docs.some((doc) => quantityAt(doc.data(), location) > 0);
+};
+
+exports.updateLocation = async (id, data) => {
+  const location = await exports.getLocationById(id);
+  const updates = { updatedAt: new Date() };
+
+  if (data.name !== undefined) {
+    if (!data.name || !data.name.trim()) {
+      throw codedError("VALIDATION_ERROR", "Location name cannot be empty");
+    }
+    if (await findByName(data.name, id)) {
+      throw codedError("DUPLICATE_LOCATION", `Location name "${data.name.trim()}" is already in use`);
+    }
+    updates.name = data.name.trim();
+    updates.nameLower = updates.name.toLowerCase();
+  }
+
+  if (data.type !== undefined) {
+    updates.type = parseType(data.type);
+  }
+
+  if (data.description !== undefined) {
+    updates.description = data.description;
+  }
+
+  if (data.isActive !== undefined) {
+    if (!data.isActive && location.isDefault) {
+      throw codedError("VALIDATION_ERROR", "The default location cannot be deactivated");
+    }
+    if (!data.isActive && (await holdsStock(location))) {
+      throw codedError("LOCATION_IN_USE", `${location.name} still holds stock. Transfer it first.`);
+    }
+    updates.isActive = Boolean(data.isActive);
+  }
+
+  await collection.doc(id).update(updates);
+
+  return {
+    message: "Location updated successfully",
+    updatedFields: Object.keys(updates).filter((key) => key !== "updatedAt" && key !== "nameLower"),
+  };
+};
+
+// Soft delete, only for an empty location other than the default one
+exports.deleteLocation = async (id) => {
+  const location = await exports.getLocationById(id);
+
+  if (location.isDefault) {
+    throw codedError("VALIDATION_ERROR", "The default location cannot be deleted");
+  }
+  if (await holdsStock(location)) {
+    throw codedError("LOCATION_IN_USE", `${location.name} still holds stock. Transfer it first.`);
+  }
+
+  await collection.doc(id).update({ isActive: false, updatedAt: new Date() });
+  return { success: true };
+};
+
+// All locations, read inside a movement's transaction
+exports.readLocationsInTransaction = async (transaction) => {
+  const snapshot = await transaction.get(collection);
+  const locations = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  return {
+    byId: new Map(locations.map((location) => [location.id, location])),
+    defaultLocation: locations.find((location) => location.isDefault) || null,
+  };
+};
+
+// Products held at a location
+exports.getLocationStock = async (id) => {
+  const location = await exports.getLocationById(id);
+  const snapshot = await db.collection("products").get();
+
+  const products = snapshot.docs
+    .map((doc) => {
+      const product = doc.data();
+      const quantity = quantityAt(product, location);
+      const averageCost = Number(product.averageCost) || 0;
+      return {
+        productId: doc.id,
+        productName: product.name,
+        unit: product.unit || "unit",
+        quantity,
+        averageCost,
+        value: roundMoney(quantity * averageCost),
+      };
+    })
+    .filter((product) => product.quantity > 0)
+    .sort((a, b) => a.productName.localeCompare(b.productName));
+
+  return {
+    locationId: location.id,
+    locationName: location.name,
+    isDefault: location.isDefault === true,
+    productCount: products.length,
+    totalValue: roundMoney(products.reduce((sum, product) => sum + product.value, 0)),
+    products,
+  };
+};
+
+// Where a product's stock is
+exports.getProductStockByLocation = async (productId) => {
+  const [product, locations] = await Promise.all([
+    ProductModel.getProductById(productId),
+    exports.getAllLocations({ includeInactive: true }),
+  ]);
+
+  return {
+    productId,
+    productName: product.name,
+    unit: product.unit || "unit",
+    totalQuantity: ProductModel.getStockLevel(product),
+    locations: locations
+      .map((location) => ({
+        locationId: location.id,
+        locationName: location.name,
+        isDefault: location.isDefault === true,
+        quantity: quantityAt(product, location),
+      }))
+      .filter((entry) => entry.quantity !== 0 || locations.length === 1 || entry.isDefault),
+  };
+};
+
+// Stock value and product count per location, for the dashboard
+exports.getStockByLocation = async () => {
+  const [locations, snapshot] = await Promise.all([
+    exports.getAllLocations(),
+    db.collection("products").get(),
+  ]);
+  const products = snapshot.docs.map((doc) => doc.data());
+
+  return locations.map((location) => {
+    let productCount = 0;
+    let totalValue = 0;
+
+    products.forEach((product) => {
+      const quantity = quantityAt(product, location);
+      if (quantity > 0) {
+        productCount++;
+        totalValue += quantity * (Number(product.averageCost) || 0);
+      }
+    });
+
+    return {
+      locationId: location.id,
+      locationName: location.name,
+      type: location.type,
+      isDefault: location.isDefault === true,
+      productCount,
+      totalValue: roundMoney(totalValue),
+    };
+  });
+};
@@ -1,36 +1,86 @@
 const { db } = require("../config/firebase");
 const collection = db.collection("stockMovements");
-const counterCollection = db.collection("counters");
 const ProductModel = require("../models/productModel");
+const SupplierModel = require("../models/supplierModel");
+const BudgetModel = require("../models/budgetModel");
+const DepartmentModel = require("../models/departmentModel");
+const DepartmentStockModel = require("../models/departmentStockModel");
+const LocationModel = require("../models/locationModel");
+const CounterModel = require("../models/counterModel");
+const { codedError } = require("../utils/errors");
+const { roundMoney } = require("../models/taxModel");
 
-// Get next sequential movement ID with leading zeros
-const getNextMovementId = async () => {
-  const counterRef = counterCollection.doc("stockMovements");
-  
-  try {
-    // Use transaction to safely increment counter
-    const result = await db.runTransaction(async (transaction) => {
-      const counterDoc = await transaction.get(counterRef);
-      
-      let currentCount = 1;
-      if (counterDoc.exists) {
-        currentCount = counterDoc.data().count + 1;
-      }
-      
-      transaction.set(counterRef, { count: currentCount });
-      return currentCount;
-    });
-    
-    // Format with leading zeros (000001, 000002, etc.)
-    const formattedNumber = result.toString().padStart(6, '0');
-    return `MOV${formattedNumber}`;
-    
-  } catch (error) {
-    console.error("Error getting sequential movement ID:", error);
-    // Fallback to timestamp if transaction fails
-    const timestamp = Date.now().toString(36);
-    return `MOV${timestamp}`;
+// Firestore gives up on a transaction with ABORTED (10) when other
+// transactions keep modifying the same documents
+const toMovementFailure = (error) => {
+  if (error.code === 10) {
+    return {
+      success: false,
+      message: "Another stock movement changed the same products at the same time. Nothing was saved, please retry.",
+      code: "STOCK_CONFLICT",
+      errors: [error.message],
+    };
   }
+
+  return {
+    success: false,
+    message: error.message,
+    code: typeof error.code === "string" ? error.code : "INTERNAL_ERROR",
+    errors: error.errors || [error.message],
+  };
+};
+
+// Turn failed product results from ProductModel into a coded error
+const stockFailureError = (failures) => {
+  const errors = failures.map((f) => {
+    switch (f.reason) {
+      case "INSUFFICIENT_STOCK":
+        return `Insufficient stock for ${f.productName}${f.location ? ` at ${f.location}` : ""}. Available: ${f.available}, Requested: ${f.requested}`;
+      case "LOT_UNAVAILABLE":
+        return `${f.productName}: ${f.error}`;
+      default:
+        return `Product not found: ${f.productId}`;
+    }
+  });
+  const code = ["INSUFFICIENT_STOCK", "LOT_UNAVAILABLE", "PRODUCT_NOT_FOUND"]
+    .find((reason) => failures.some((f) => f.reason === reason));
+
+  return codedError(code, `Validation errors: ${errors.join(", ")}`, errors);
+};
+
+// Movements posted by another document, which keeps track of them: a sale
+// belongs to its invoice, a receipt to its purchase order, a fulfilment to its
+// requisition. Editing, reversing
+// or deleting one here would leave that document out of step with stock.
+const LINKED_MOVEMENTS = [
+  { field: "invoiceId", code: "INVOICE_MOVEMENT", document: "invoice", remedy: "Cancel the invoice to return its stock" },
+  {
+    field: "purchaseOrderId",
+    code: "PURCHASE_ORDER_MOVEMENT",
+    document: "purchase order",
+    remedy: "Record a supplier return for goods sent back",
+  },
+  {
+    field: "requisitionId",
+    code: "REQUISITION_MOVEMENT",
+    document: "requisition",
+    remedy: "Record a department return for goods sent back",
+  },
+  {
+    field: "stocktakeId",
+    code: "STOCKTAKE_MOVEMENT",
+    document: "stocktake",
+    remedy: "Record an adjustment to correct the count",
+  },
+];
+
+const linkOf = (movement) => LINKED_MOVEMENTS.find((link) => movement[link.field]);
+
+// Error for an `action` (edit, reverse, delete) on a linked movement, else null
+const linkedMovementError = (movement, action) => {
+  const link = linkOf(movement);
+  if (!link) return null;
+  return codedError(link.code, `Cannot ${action} a movement of ${link.document} ${movement[link.field]}`, [link.remedy]);
 };
 
 const removeUndefinedProperties = (obj) => {
@@ -43,160 +93,1154 @@ const removeUndefinedProperties = (obj) => {
   return cleaned;
 };
 
-exports.createStockMovement = async (data) => {
-  try {
-    console.log("🔄 Starting stock movement creation:", data);
+// Direction in which each movement type moves product stock.
+// Adjustment lines carry a signed quantity; department transfers and
+// consumption reported by a department leave the store's stock untouched, and
+// location transfers only move it between locations; production lines move by
+// their role (see lineStockEffect).
+const MOVEMENT_DIRECTIONS = {
+  stock_in: 1,
+  distribution: -1,
+  waste: -1,
+  department_return: 1,
+  supplier_return: -1,
+  department_transfer: 0,
+  adjustment: 1,
+  production: 0,
+  consumption: 0,
+  location_transfer: 0,
+  sale: -1,
+};
 
-    // 🧩 Validate required fields
-    if (!data.type || !["stock_in", "distribution"].includes(data.type)) {
-      throw new Error("Valid movement type is required (stock_in or distribution)");
+// Reason codes accepted on waste movements
+const WASTE_REASONS = ["expired", "spoiled", "damaged", "preparation_loss", "other"];
+
+exports.MOVEMENT_TYPES = Object.keys(MOVEMENT_DIRECTIONS);
+exports.WASTE_REASONS = WASTE_REASONS;
+
+// dd/mm/yyyy as stored in the `date` field
+const formatMovementDate = (date) =>
+  `${String(date.getDate()).padStart(2, "0")}/${String(
+    date.getMonth() + 1
+  ).padStart(2, "0")}/${date.getFullYear()}`;
+
+// Shared checks for creating and editing a movement
+const validateMovementInput = (data) => {
+  if (!data.type || MOVEMENT_DIRECTIONS[data.type] === undefined) {
+    throw codedError(
+      "VALIDATION_ERROR",
+      `Valid movement type is required (${Object.keys(MOVEMENT_DIRECTIONS).join(", ")})`
+    );
+  }
+
+  if (!data.products || !Array.isArray(data.products) || data.products.length === 0) {
+    throw codedError("VALIDATION_ERROR", "At least one product is required");
+  }
+
+  if (!data.stockManager || !data.stockManager.trim()) {
+    throw codedError("VALIDATION_ERROR", "Stock manager is required");
+  }
+
+  switch (data.type) {
+    case "distribution":
+      if (!data.departmentId && !data.department) {
+        throw codedError("VALIDATION_ERROR", "Department is required for distributions");
+      }
+      break;
+    case "stock_in":
+      if (!data.supplierId && !data.supplier) {
+        throw codedError("VALIDATION_ERROR", "Supplier (supplierId) is required for stock in");
+      }
+      break;
+    case "waste":
+      if (!WASTE_REASONS.includes(data.reasonCode)) {
+        throw codedError("VALIDATION_ERROR", `Waste reason code is required (${WASTE_REASONS.join(", ")})`);
+      }
+      if (data.reasonCode === "other" && !(data.notes && data.notes.trim())) {
+        throw codedError("VALIDATION_ERROR", "Notes are required when the waste reason is 'other'");
+      }
+      break;
+    case "department_return":
+      if (!data.departmentId && !data.department) {
+        throw codedError("VALIDATION_ERROR", "Department is required for department returns");
+      }
+      break;
+    case "consumption":
+      if (!data.departmentId && !data.department) {
+        throw codedError("VALIDATION_ERROR", "Department is required for consumption");
+      }
+      break;
+    case "supplier_return":
+      if (!data.supplierId && !data.supplier) {
+        throw codedError("VALIDATION_ERROR", "Supplier (supplierId) is required for supplier returns");
+      }
+      break;
+    case "department_transfer":
+      if ((!data.fromDepartmentId && !data.fromDepartment) || (!data.departmentId && !data.department)) {
+        throw codedError(
+          "VALIDATION_ERROR",
+          "Source (fromDepartmentId) and destination (departmentId) are required for transfers"
+        );
+      }
+      if ((data.fromDepartmentId || data.fromDepartment) === (data.departmentId || data.department)) {
+        throw codedError("VALIDATION_ERROR", "A transfer needs two different departments");
+      }
+      break;
+    case "location_transfer":
+      if (!data.fromLocationId || !data.toLocationId) {
+        throw codedError("VALIDATION_ERROR", "Source (fromLocationId) and destination (toLocationId) are required for location transfers");
+      }
+      if (data.fromLocationId === data.toLocationId) {
+        throw codedError("VALIDATION_ERROR", "A location transfer needs two different locations");
+      }
+      break;
+    case "adjustment":
+      if (!data.justification || !data.justification.trim()) {
+        throw codedError("VALIDATION_ERROR", "Justification is required for adjustments");
+      }
+      break;
+    case "sale":
+      if (!data.invoiceId) {
+        throw codedError("VALIDATION_ERROR", "Sales are recorded by confirming an invoice (invoiceId)");
+      }
+      break;
+    case "production": {
+      const outputs = data.products.filter((p) => p.role === "output");
+      if (data.products.some((p) => p.role !== "input" && p.role !== "output")) {
+        throw codedError("VALIDATION_ERROR", "Each production line needs a role: input or output");
+      }
+      if (outputs.length !== 1 || outputs.length === data.products.length) {
+        throw codedError("VALIDATION_ERROR", "A production needs input lines and exactly one output line");
+      }
+      if (data.products.some((p) => p.role === "input" && p.productId === outputs[0].productId)) {
+        throw codedError("VALIDATION_ERROR", "The output product cannot also be an input");
+      }
+      if (data.expectedQuantity !== undefined && !(Number(data.expectedQuantity) > 0)) {
+        throw codedError("VALIDATION_ERROR", "expectedQuantity must be a positive number");
+      }
+      break;
     }
+  }
 
-    if (!data.products || !Array.isArray(data.products) || data.products.length === 0) {
-      throw new Error("At least one product is required");
+  // Adjustments take signed quantities, every other type positive ones
+  const isValidQuantity = data.type === "adjustment"
+    ? (quantity) => Number.isFinite(quantity) && quantity !== 0
+    : (quantity) => quantity > 0;
+
+  const invalidLines = data.products
+    .filter((p) => (!p.productId && !p.barcode) || !isValidQuantity(Number(p.quantity)))
+    .map((p) => `Invalid product or quantity: ${JSON.stringify(p)}`);
+
+  if (invalidLines.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${invalidLines.join(", ")}`, invalidLines);
+  }
+
+  validateLotDetails(data);
+};
+
+// Received lots (lotNumber / expiryDate) are only for stock_in lines and the
+// output of a production; chosen lots (`lots`) only for lines that take stock
+// out or move it to another location
+const validateLotDetails = (data) => {
+  const isValidDate = (value) => !value || !Number.isNaN(new Date(value).getTime());
+  const errors = [];
+
+  data.products.forEach((p, index) => {
+    const label = `Product ${index + 1}`;
+
+    if (p.lotNumber !== undefined || p.expiryDate !== undefined) {
+      if (!receivesLot(data, p)) {
+        errors.push(`${label}: lotNumber and expiryDate can only be set on stock_in lines and production outputs`);
+      } else if (!isValidDate(p.expiryDate)) {
+        errors.push(`${label}: invalid expiryDate`);
+      }
     }
 
-    if (!data.stockManager || !data.stockManager.trim()) {
-      throw new Error("Stock manager is required");
+    if (p.lots !== undefined) {
+      const takesStock = lineStockEffect(data, p) < 0 || data.type === "location_transfer";
+      const lots = Array.isArray(p.lots) ? p.lots : [];
+      const chosen = lots.reduce((sum, lot) => sum + (Number(lot.quantity) || 0), 0);
+
+      if (!takesStock) {
+        errors.push(`${label}: lots can only be chosen for lines that take stock out or transfer it`);
+      } else if (!Array.isArray(p.lots) || lots.some((lot) => !(lot.lotNumber || lot.expiryDate) || !(Number(lot.quantity) > 0))) {
+        errors.push(`${label}: each lot needs a lotNumber (or expiryDate) and a positive quantity`);
+      } else if (chosen > Math.abs(Number(p.quantity))) {
+        errors.push(`${label}: chosen lots (${chosen}) exceed the line quantity`);
+      }
     }
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+};
+
+// Whether a line brings a new lot into stock
+const receivesLot = (movement, line) =>
+  movement.type === "stock_in" || (movement.type === "production" && line.role === "output");
 
-    if (data.type === "distribution" && !data.department) {
-      throw new Error("Department is required for distributions");
+// Lots a line moves: the received lot of a stock_in line or production output,
+// or the lots stored on / chosen for the line
+const lineLots = (movement, line) => {
+  if (receivesLot(movement, line) && (line.lotNumber || line.expiryDate)) {
+    return [{ lotNumber: line.lotNumber || null, expiryDate: line.expiryDate || null, quantity: Number(line.quantity) }];
+  }
+  return Array.isArray(line.lots) ? line.lots : undefined;
+};
+
+// Fields only some movement types carry
+const typeSpecificFields = (data) => {
+  switch (data.type) {
+    case "waste":
+      return { reasonCode: data.reasonCode };
+    case "adjustment":
+      return { justification: data.justification.trim() };
+    case "production":
+      return data.production ? { production: data.production } : {};
+    case "sale":
+      return { invoiceId: data.invoiceId, clientId: data.clientId || null, client: data.client || null };
+    default:
+      return {};
+  }
+};
+
+// Unit cost a line moves stock at, when it is not the product's average cost:
+// receipts come in at their purchase price, a production output at the cost of
+// its inputs, and a reversal moves the goods back at the cost the original
+// line recorded.
+const lineUnitCost = (movement, line, usualPrice = null) => {
+  const isCosted = movement.type === "stock_in" ||
+    movement.type === "reversal" ||
+    (movement.type === "production" && line.role === "output");
+
+  if (!isCosted) {
+    return undefined;
+  }
+
+  const price = line.price ?? line.unitPrice ?? usualPrice;
+  return price !== undefined && price !== null && price !== "" ? Number(price) : undefined;
+};
+
+// Build the stored product lines from the request lines and the stock results
+// returned by ProductModel.applyQuantityChanges. Lines are valued at the cost
+// the stock moved at (see lineUnitCost), otherwise the weighted average cost.
+const buildMovementLines = (type, products, stockResultFor) => {
+  let totalValue = 0;
+
+  const lines = products.map((p, index) => {
+    const stock = stockResultFor(p, index);
+    const quantity = Number(p.quantity);
+    const unitPrice = Number(stock.unitCost) || 0;
+    const total = roundMoney(unitPrice * quantity);
+
+    // A production is worth its output (which is the cost of its inputs)
+    if (type !== "production" || p.role === "output") {
+      totalValue += total;
     }
 
-    if (data.type === "stock_in" && !data.supplier) {
-      throw new Error("Supplier is required for stock in");
+    return {
+      productId: p.productId,
+      productName: stock.productName,
+      ...(p.barcode ? { barcode: p.barcode } : {}),
+      ...(p.role ? { role: p.role } : {}),
+      quantity,
+      unit: stock.unit,
+      unitPrice,
+      total,
+      previousStock: stock.oldQuantity,
+      newStock: stock.newQuantity,
+      // Quantity as entered, when it was given in another unit than the base unit
+      ...(p.enteredUnit
+        ? { enteredQuantity: p.enteredQuantity, enteredUnit: p.enteredUnit, conversionFactor: p.conversionFactor }
+        : {}),
+      // Lots received or taken by this line
+      ...(stock.lots && stock.lots.length > 0 ? { lots: stock.lots } : {}),
+    };
+  });
+
+  return {
+    lines,
+    totalValue: roundMoney(totalValue),
+    totalItems: lines.reduce((sum, p) => sum + Math.abs(p.quantity), 0),
+  };
+};
+
+// Signed effect of one movement line on product stock. A reversal undoes
+// the effect the same line had on the movement it reverses.
+const lineStockEffect = (movement, line) => {
+  if (movement.type === "reversal") {
+    return -lineStockEffect({ type: movement.reversedType }, line);
+  }
+  if (movement.type === "production") {
+    return (line.role === "output" ? 1 : -1) * Number(line.quantity || 0);
+  }
+  return (MOVEMENT_DIRECTIONS[movement.type] || 0) * Number(line.quantity || 0);
+};
+
+// Movement types that deal with a supplier from the directory
+const SUPPLIER_TYPES = ["stock_in", "supplier_return"];
+
+// Look up a department of a movement inside its transaction. Movements store
+// the department ID plus a snapshot of its name in `department` (and the same
+// for the source of a transfer in fromDepartmentId / fromDepartment).
+const resolveDepartment = async (transaction, departmentId, department) => {
+  if (!departmentId && !department) return null;
+
+  const found = await DepartmentModel.resolveDepartmentInTransaction(transaction, { departmentId, department });
+  if (!found) {
+    throw codedError("DEPARTMENT_NOT_FOUND", `Department not found: ${departmentId || department}`);
+  }
+  if (found.isActive === false) {
+    throw codedError("VALIDATION_ERROR", `Department ${found.name} is no longer active`);
+  }
+  return found;
+};
+
+const resolveDepartments = async (transaction, data) => {
+  const department = await resolveDepartment(transaction, data.departmentId, data.department);
+  const fromDepartment = data.type === "department_transfer"
+    ? await resolveDepartment(transaction, data.fromDepartmentId, data.fromDepartment)
+    : null;
+
+  if (department && fromDepartment && department.id === fromDepartment.id) {
+    throw codedError("VALIDATION_ERROR", "A transfer needs two different departments");
+  }
+
+  return { department, fromDepartment };
+};
+
+// ID and name snapshot of the departments a movement refers to
+const departmentFields = ({ department, fromDepartment }) => ({
+  departmentId: department ? department.id : null,
+  department: department ? department.name : null,
+  ...(fromDepartment ? { fromDepartmentId: fromDepartment.id, fromDepartment: fromDepartment.name } : {}),
+});
+
+// Movement types that change stock at one location
+const LOCATED_TYPES = ["stock_in", "distribution", "waste", "department_return", "supplier_return", "adjustment", "production", "sale"];
+
+// Look up the locations of a movement inside its transaction. Stock changes at
+// `locationId`, or at the default location when none is given; a location
+// transfer moves it from `fromLocationId` to `toLocationId`. Reversals (with
+// reversedType) use the locations of the movement they undo.
+const resolveLocations = async (transaction, movement, { allowInactive = false } = {}) => {
+  const type = movement.type === "reversal" ? movement.reversedType : movement.type;
+  if (type !== "location_transfer" && !LOCATED_TYPES.includes(type)) return {};
+
+  const { byId, defaultLocation } = await LocationModel.readLocationsInTransaction(transaction);
+  const find = (id) => {
+    const location = byId.get(id);
+    if (!location) {
+      throw codedError("LOCATION_NOT_FOUND", `Location not found: ${id}`);
     }
+    if (!allowInactive && location.isActive === false) {
+      throw codedError("VALIDATION_ERROR", `Location ${location.name} is no longer active`);
+    }
+    return location;
+  };
 
-    // 🧾 Validate products and get current stock levels
-    const productsCollection = db.collection("products");
-    const validationErrors = [];
-    const validProducts = [];
-    let totalValue = 0;
+  if (type === "location_transfer") {
+    return { fromLocation: find(movement.fromLocationId), toLocation: find(movement.toLocationId) };
+  }
+  return { location: movement.locationId ? find(movement.locationId) : defaultLocation };
+};
 
-    for (const p of data.products) {
-      if (!p.productId || !p.quantity || p.quantity <= 0) {
-        validationErrors.push(`Invalid product or quantity: ${JSON.stringify(p)}`);
-        continue;
-      }
+// Products only record quantities at locations other than the default one
+const productLocationId = (location) => (location && !location.isDefault ? location.id : null);
 
-      const productSnap = await productsCollection.doc(p.productId).get();
-      if (!productSnap.exists) {
-        validationErrors.push(`Product not found: ${p.productId}`);
-        continue;
-      }
+// Location side of the stock change of a line, for ProductModel.applyQuantityChanges.
+// Undoing a transfer moves the stock back.
+const lineLocationChange = (movement, locations, line) => {
+  if (locations.fromLocation) {
+    const [from, to] = movement.type === "reversal"
+      ? [locations.toLocation, locations.fromLocation]
+      : [locations.fromLocation, locations.toLocation];
+    return {
+      transfer: {
+        fromLocationId: productLocationId(from),
+        fromLocationName: from.name,
+        toLocationId: productLocationId(to),
+        quantity: Number(line.quantity || 0),
+      },
+    };
+  }
+  if (!locations.location) return {};
+  return { locationId: productLocationId(locations.location), locationName: locations.location.name };
+};
 
-      const productData = productSnap.data();
-      const currentStock = parseInt(productData.quantity || 0);
-      const unitPrice = parseFloat(p.price || productData.price || 0);
-      
-      // Calculate new stock based on movement type
-      let newStock;
-      if (data.type === "stock_in") {
-        newStock = currentStock + parseInt(p.quantity);
-        totalValue += unitPrice * p.quantity;
-      } else {
-        newStock = currentStock - parseInt(p.quantity);
-        // Validate stock availability for distributions
-        if (newStock < 0) {
-          validationErrors.push(`Insufficient stock for ${productData.name}. Available: ${currentStock}, Requested: ${p.quantity}`);
-          continue;
-        }
-      }
+// ID and name snapshot of the locations a movement refers to
+const locationFields = (locations) => {
+  if (locations.fromLocation) {
+    return {
+      fromLocationId: locations.fromLocation.id,
+      fromLocation: locations.fromLocation.name,
+      toLocationId: locations.toLocation.id,
+      toLocation: locations.toLocation.name,
+    };
+  }
+  return locations.location ? { locationId: locations.location.id, location: locations.location.name } : {};
+};
 
-      validProducts.push({
-        ...p,
-        name: productData.name,
-        unit: productData.unit || "units",
-        currentStock: currentStock,
-        previousStock: currentStock,
-        newStock: newStock,
-        unitPrice: unitPrice,
-      });
+// Location fields stored on a movement
+const storedLocationFields = (movement) => {
+  const fields = {};
+  ["locationId", "location", "fromLocationId", "fromLocation", "toLocationId", "toLocation"].forEach((field) => {
+    if (movement[field] !== undefined) fields[field] = movement[field];
+  });
+  return fields;
+};
+
+// Look up the supplier of a movement inside its transaction. Movements store
+// the supplier ID plus a snapshot of its name in `supplier`; older movements
+// only have the name and stay readable as they are.
+const resolveSupplier = async (transaction, data) => {
+  const supplier = await SupplierModel.resolveSupplierInTransaction(transaction, data);
+
+  if (!supplier) {
+    throw codedError(
+      "SUPPLIER_NOT_FOUND",
+      `Supplier not found: ${data.supplierId || data.supplier}. Register it in the supplier directory first.`
+    );
+  }
+
+  if (data.type === "stock_in" && supplier.isActive === false) {
+    throw codedError("VALIDATION_ERROR", `Supplier ${supplier.name} is no longer active`);
+  }
+
+  return supplier;
+};
+
+// Lines scanned with a handheld reader carry a barcode (or SKU) instead of a
+// productId. The code is resolved to its product here; a line without a unit
+// counts in the unit of the code, so a case barcode receives cases.
+const resolveScannedLines = async (transaction, lines) => {
+  const errors = [];
+  const resolved = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (line.productId || !line.barcode) {
+      resolved.push(line);
+      continue;
     }
 
-    if (validationErrors.length > 0) {
-      throw new Error(`Validation errors: ${validationErrors.join(", ")}`);
+    const match = await ProductModel.findProductByCodeInTransaction(transaction, line.barcode);
+    if (!match) {
+      errors.push(`Product ${index + 1}: no product with code ${line.barcode}`);
+      resolved.push(line);
+      continue;
     }
 
-    // 🧮 Movement ID
-    const movementId = await getNextMovementId();
-    console.log(`🎯 Generated movement ID: ${movementId}`);
-
-    // 📦 Apply stock updates using your existing model functions
-    if (data.type === "stock_in") {
-      console.log("⬆️ Adding quantities to stock...");
-      await ProductModel.addQuantitiesToProducts(
-        validProducts.map((p) => ({
-          productId: p.productId,
-          quantityToAdd: p.quantity,
-        }))
-      );
-    } else if (data.type === "distribution") {
-      console.log("⬇️ Removing quantities from stock...");
-      await ProductModel.removeQuantitiesFromProducts(
-        validProducts.map((p) => ({
-          productId: p.productId,
-          quantityToRemove: p.quantity,
-        }))
+    resolved.push({
+      ...line,
+      productId: match.product.id,
+      productName: line.productName || match.product.name,
+      unit: line.unit || match.unit,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw codedError("PRODUCT_NOT_FOUND", `Unknown codes: ${errors.join(", ")}`, errors);
+  }
+
+  return resolved;
+};
+
+// Products of the given lines, read inside the transaction
+const readLineProducts = async (transaction, lines) => {
+  const productIds = [...new Set(lines.map((p) => p.productId).filter(Boolean))];
+  if (productIds.length === 0) return new Map();
+
+  const docs = await transaction.getAll(...productIds.map((id) => db.collection("products").doc(id)));
+  return new Map(docs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+};
+
+const roundQuantity = (value) => Math.round(value * 1000000) / 1000000;
+exports.roundQuantity = roundQuantity;
+
+// Lines may be entered in any unit the product defines (sacks, trays, kg...).
+// Stock, lots and prices are kept in the product's base unit, so quantities
+// are converted here; the entered quantity and unit stay on the line.
+const toBaseUnitLines = (lines, products) => {
+  const errors = [];
+
+  const converted = lines.map((p, index) => {
+    const product = products.get(p.productId);
+    if (!product || !p.unit) return p; // Missing products are reported by ProductModel
+
+    const unit = ProductModel.findUnit(product, p.unit);
+    if (!unit) {
+      errors.push(
+        `Product ${index + 1}: unit "${p.unit}" is not defined for ${product.name} (${ProductModel.getUnitNames(product).join(", ")})`
       );
+      return p;
     }
 
-    // 🕒 Format date
-    const now = new Date();
-    const formattedDate = `${String(now.getDate()).padStart(2, "0")}/${String(
-      now.getMonth() + 1
-    ).padStart(2, "0")}/${now.getFullYear()}`;
-
-    // 🧾 Prepare movement document with stock tracking
-    const movementData = {
-      id: movementId,
-      movementId,
-      type: data.type,
-      department: data.department || null,
-      supplier: data.supplier || null,
-      stockManager: data.stockManager.trim(),
-      products: validProducts.map((p) => ({
-        productId: p.productId,
-        productName: p.name,
-        quantity: p.quantity,
-        unit: p.unit,
-        unitPrice: p.unitPrice,
-        total: p.unitPrice * p.quantity,
-        previousStock: p.previousStock,
-        newStock: p.newStock
-      })),
-      totalValue: totalValue,
-      totalItems: validProducts.reduce((sum, p) => sum + parseInt(p.quantity), 0),
-      notes: data.notes || "",
-      date: formattedDate,
-      timestamp: new Date(),
-      createdAt: new Date(),
-      updatedAt: new Date(),
+    if (unit.factor === 1) return p;
+
+    const toBase = (quantity) => roundQuantity(Number(quantity) * unit.factor);
+    const price = p.price ?? p.unitPrice;
+
+    return {
+      ...p,
+      quantity: toBase(p.quantity),
+      enteredQuantity: Number(p.quantity),
+      enteredUnit: unit.name,
+      conversionFactor: unit.factor,
+      ...(price !== undefined && price !== null && price !== "" ? { price: Number(price) / unit.factor } : {}),
+      ...(Array.isArray(p.lots) ? { lots: p.lots.map((lot) => ({ ...lot, quantity: toBase(lot.quantity) })) } : {}),
     };
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  return converted;
+};
+
+// A production output is costed at the average cost of the inputs it consumed
+const costProductionOutput = (lines, products) => {
+  const inputCost = lines
+    .filter((p) => p.role === "input")
+    .reduce((sum, p) => sum + Number(p.quantity) * (Number(products.get(p.productId)?.averageCost) || 0), 0);
+
+  return lines.map((p) =>
+    p.role === "output" ? { ...p, price: inputCost / Number(p.quantity) } : p
+  );
+};
+
+// Yield and loss of a production. The expected output is `expectedQuantity`
+// (in the output line's unit), else the input quantity when every input is
+// counted in the same unit as the output.
+const productionSummary = (data, lines) => {
+  const inputs = lines.filter((p) => p.role === "input");
+  const output = lines.find((p) => p.role === "output");
+
+  let expectedQuantity = null;
+  if (data.expectedQuantity !== undefined) {
+    expectedQuantity = roundQuantity(Number(data.expectedQuantity) * (output.conversionFactor || 1));
+  } else if (inputs.every((p) => p.unit === output.unit)) {
+    expectedQuantity = roundQuantity(inputs.reduce((sum, p) => sum + p.quantity, 0));
+  }
+
+  return {
+    outputProductId: output.productId,
+    outputProductName: output.productName,
+    outputQuantity: output.quantity,
+    unit: output.unit,
+    expectedQuantity,
+    yieldPercent: expectedQuantity ? Math.round((output.quantity / expectedQuantity) * 10000) / 100 : null,
+    lossQuantity: expectedQuantity !== null ? roundQuantity(expectedQuantity - output.quantity) : null,
+    inputCost: roundMoney(inputs.reduce((sum, p) => sum + p.total, 0)),
+    unitCost: output.unitPrice,
+  };
+};
 
-    // 🗃️ Save movement
-    await db.collection("stockMovements").doc(movementId).set(movementData);
+// Low-stock alerts raised by ProductModel.applyQuantityChanges
+const collectAlerts = (stockResults) =>
+  stockResults.filter((r) => r.alert).map((r) => r.alert);
 
-    console.log("✅ Stock movement created successfully:", movementId);
+// Stage a new movement inside a transaction: reserves the ID, checks and
+// updates product stock and writes the movement document. The caller may
+// only do reads before this and only writes after it.
+// Resolves to the movement and the low-stock alerts it raised.
+const stageMovement = async (transaction, data, extraFields = {}) => {
+  const movementType = { type: data.type, ...extraFields };
+  const now = new Date();
+
+  // 🧮 Reads first: supplier, departments and budget, scanned codes and products (for units), counter, then stock
+  const supplier = SUPPLIER_TYPES.includes(data.type)
+    ? await resolveSupplier(transaction, data)
+    : null;
+  // Reversals copy the department references of the movement they undo
+  const departments = data.type === "reversal"
+    ? { department: null, fromDepartment: null }
+    : await resolveDepartments(transaction, data);
+  const locations = await resolveLocations(
+    transaction,
+    { ...data, ...extraFields },
+    { allowInactive: data.type === "reversal" }
+  );
+  const budget = data.type === "distribution"
+    ? await BudgetModel.readBudgetInTransaction(transaction, departments.department, now)
+    : null;
+  if (data.type === "consumption" && departments.department.tracksInventory !== true) {
+    throw codedError(
+      "VALIDATION_ERROR",
+      `${departments.department.name} does not track its own stock, so it cannot report consumption`
+    );
+  }
+  const scannedLines = await resolveScannedLines(transaction, data.products);
+  const products = await readLineProducts(transaction, scannedLines);
+  const convertedLines = toBaseUnitLines(scannedLines, products);
+  const baseLines = data.type === "production"
+    ? costProductionOutput(convertedLines, products)
+    : convertedLines;
+  // Reversals carry the department IDs of the movement they undo in extraFields
+  const departmentIds = data.type === "reversal" ? extraFields : departmentFields(departments);
+  const holdingsMovement = {
+    ...movementType,
+    departmentId: departmentIds.departmentId || null,
+    fromDepartmentId: departmentIds.fromDepartmentId || null,
+  };
+  const holdings = await DepartmentStockModel.readHoldingsInTransaction(transaction, [
+    { ...holdingsMovement, products: baseLines },
+  ]);
+  const reservation = await CounterModel.reserveId(transaction, "stockMovements", "MOV", 6);
+
+  // 📦 Check and stage stock updates
+  const stockResults = await ProductModel.applyQuantityChanges(
+    baseLines.map((p) => ({
+      productId: p.productId,
+      delta: lineStockEffect(movementType, p),
+      ...lineLocationChange(movementType, locations, p),
+      lots: lineLots(movementType, p),
+      unitCost: lineUnitCost(
+        movementType,
+        p,
+        SupplierModel.getUsualPrice(supplier, p.productId, products.get(p.productId))
+      ),
+    })),
+    transaction
+  );
+
+  const failures = stockResults.filter((r) => !r.success);
+  if (failures.length > 0) {
+    throw stockFailureError(failures);
+  }
+
+  const { lines, totalValue, totalItems } = buildMovementLines(
+    data.type,
+    baseLines,
+    (p, index) => stockResults[index]
+  );
+
+  // 💶 Department budget: warn, or refuse the distribution in block mode
+  const budgetWarnings = BudgetModel.checkDistribution(budget, lines, totalValue);
+  if (budgetWarnings.length > 0 && budget.budget.mode === "block") {
+    throw codedError(
+      "BUDGET_EXCEEDED",
+      `Distribution exceeds the budget of ${departments.department.name}: ${budgetWarnings.map((w) => w.message).join(", ")}`,
+      budgetWarnings.map((w) => w.message)
+    );
+  }
+
+  const movement = {
+    id: reservation.id,
+    movementId: reservation.id,
+    type: data.type,
+    ...departmentFields(departments),
+    ...locationFields(locations),
+    supplierId: supplier ? supplier.id : data.supplierId || null,
+    supplier: supplier ? supplier.name : data.supplier || null,
+    stockManager: data.stockManager.trim(),
+    products: lines,
+    totalValue,
+    totalItems,
+    notes: data.notes || "",
+    ...typeSpecificFields(data),
+    ...(data.type === "production" ? { production: productionSummary(data, lines) } : {}),
+    ...(budgetWarnings.length > 0 ? { budgetWarnings } : {}),
+    ...extraFields,
+    date: formatMovementDate(now),
+    timestamp: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  // 🗃️ Writes: counter and movement (product updates are already staged)
+  reservation.commit();
+  transaction.set(collection.doc(reservation.id), movement);
+  DepartmentStockModel.stageHoldingChanges(
+    transaction,
+    holdings,
+    DepartmentStockModel.holdingChanges({ ...holdingsMovement, products: lines }),
+    { strict: data.type === "consumption" }
+  );
+
+  return { movement, alerts: collectAlerts(stockResults) };
+};
+
+const MOVEMENT_MESSAGES = {
+  stock_in: "Stock added successfully",
+  distribution: "Stock distributed successfully",
+  waste: "Waste recorded successfully",
+  department_return: "Department return recorded successfully",
+  supplier_return: "Supplier return recorded successfully",
+  department_transfer: "Transfer recorded successfully",
+  adjustment: "Stock adjusted successfully",
+  production: "Production recorded successfully",
+  consumption: "Consumption recorded successfully",
+  location_transfer: "Location transfer recorded successfully",
+  sale: "Sale recorded successfully",
+};
+
+// Validate and stage a movement inside another model's transaction, so that
+// the movement commits or fails together with that model's own writes.
+// Throws coded errors; see toMovementFailure.
+exports.createStockMovementInTransaction = async (transaction, data, extraFields = {}) => {
+  validateMovementInput(data);
+  return stageMovement(transaction, data, extraFields);
+};
+
+exports.toMovementFailure = toMovementFailure;
+
+// Movement creation, stock checks, product updates and the ID counter
+// are committed together in a single transaction
+// `extraFields` are stored on the movement as they are (e.g. the recipe a
+// distribution was made from)
+exports.createStockMovement = async (data, extraFields = {}) => {
+  try {
+    console.log("🔄 Starting stock movement creation:", data);
+
+    // 🧩 Validate required fields
+    validateMovementInput(data);
+
+    const { movement: movementData, alerts } = await db.runTransaction((transaction) =>
+      stageMovement(transaction, data, extraFields)
+    );
+
+    console.log("✅ Stock movement created successfully:", movementData.movementId);
 
     return {
       success: true,
-      id: movementId,
+      id: movementData.movementId,
       data: movementData,
-      message:
-        data.type === "stock_in"
-          ? "Stock added successfully"
-          : "Stock distributed successfully",
+      alerts,
+      budgetWarnings: movementData.budgetWarnings || [],
+      message: MOVEMENT_MESSAGES[data.type],
     };
   } catch (error) {
     console.error("❌ Error creating stock movement:", error);
+    return toMovementFailure(error);
+  }
+};
+
+// Net effect of a movement's lines on each product's stock
+const stockEffectByProduct = (movement, products = movement.products || []) => {
+  const effects = new Map();
+
+  products.forEach((p) => {
+    effects.set(p.productId, (effects.get(p.productId) || 0) + lineStockEffect(movement, p));
+  });
+
+  return effects;
+};
+
+// Edit a movement: only the per-product difference between the old and the new
+// lines is applied to stock. The previous version is kept in the `revisions`
+// subcollection of the movement.
+exports.updateStockMovement = async (id, data) => {
+  try {
+    console.log("✏️ Starting stock movement update:", id, data);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const movementRef = collection.doc(id);
+      const movementDoc = await transaction.get(movementRef);
+
+      if (!movementDoc.exists) {
+        throw codedError("MOVEMENT_NOT_FOUND", "Movement not found", [`Movement with ID ${id} does not exist`]);
+      }
+
+      const previous = movementDoc.data();
+
+      if (previous.type === "reversal" || previous.reversedBy) {
+        throw codedError(
+          "MOVEMENT_REVERSED",
+          previous.reversedBy
+            ? `Movement has been reversed by ${previous.reversedBy} and can no longer be edited`
+            : "Reversal movements cannot be edited"
+        );
+      }
+
+      if (data.type && data.type !== previous.type) {
+        throw codedError("VALIDATION_ERROR", "The type of a movement cannot be changed");
+      }
+
+      const linked = linkedMovementError(previous, "edit");
+      if (linked) {
+        throw linked;
+      }
+
+      if (previous.type === "location_transfer" ||
+          (data.locationId !== undefined && data.locationId !== (previous.locationId || null))) {
+        throw codedError(
+          "VALIDATION_ERROR",
+          "Locations cannot be edited. Reverse the movement and record it again instead."
+        );
+      }
+
+      // Output cost, yield and loss depend on all lines together
+      if (previous.type === "production") {
+        throw codedError(
+          "VALIDATION_ERROR",
+          "Productions cannot be edited. Reverse the production and record it again instead."
+        );
+      }
+
+      const updated = {
+        type: previous.type,
+        departmentId: data.departmentId !== undefined ? data.departmentId : previous.departmentId,
+        department: data.department !== undefined ? data.department : previous.department,
+        supplierId: data.supplierId !== undefined ? data.supplierId : previous.supplierId,
+        supplier: data.supplier !== undefined ? data.supplier : previous.supplier,
+        stockManager: data.stockManager !== undefined ? data.stockManager : previous.stockManager,
+        products: data.products !== undefined ? data.products : previous.products,
+        notes: data.notes !== undefined ? data.notes : previous.notes,
+        reasonCode: data.reasonCode !== undefined ? data.reasonCode : previous.reasonCode,
+        fromDepartmentId: data.fromDepartmentId !== undefined ? data.fromDepartmentId : previous.fromDepartmentId,
+        fromDepartment: data.fromDepartment !== undefined ? data.fromDepartment : previous.fromDepartment,
+        justification: data.justification !== undefined ? data.justification : previous.justification,
+      };
+
+      validateMovementInput(updated);
+
+      // A changed supplier has to exist in the directory
+      let supplier = null;
+      if (SUPPLIER_TYPES.includes(updated.type) && (data.supplierId !== undefined || data.supplier !== undefined)) {
+        supplier = await resolveSupplier(transaction, {
+          type: updated.type,
+          supplierId: data.supplierId,
+          supplier: data.supplierId ? undefined : data.supplier,
+        });
+        updated.supplierId = supplier.id;
+        updated.supplier = supplier.name;
+      }
+
+      // A changed department is looked up again; an unchanged one keeps its snapshot
+      if (data.departmentId !== undefined || data.department !== undefined) {
+        const department = await resolveDepartment(transaction, data.departmentId, data.department);
+        updated.departmentId = department ? department.id : null;
+        updated.department = department ? department.name : null;
+      }
+      if (data.fromDepartmentId !== undefined || data.fromDepartment !== undefined) {
+        const fromDepartment = await resolveDepartment(transaction, data.fromDepartmentId, data.fromDepartment);
+        updated.fromDepartmentId = fromDepartment ? fromDepartment.id : null;
+        updated.fromDepartment = fromDepartment ? fromDepartment.name : null;
+      }
+      if (updated.type === "department_transfer" && updated.departmentId &&
+          updated.departmentId === updated.fromDepartmentId) {
+        throw codedError("VALIDATION_ERROR", "A transfer needs two different departments");
+      }
+
+      // Edited lines may be scanned or entered in other units as well
+      const editedLines = data.products !== undefined
+        ? await resolveScannedLines(transaction, data.products)
+        : null;
+      const products = editedLines ? await readLineProducts(transaction, editedLines) : new Map();
+      if (editedLines) {
+        updated.products = toBaseUnitLines(editedLines, products);
+      }
+
+      // Lot bookkeeping is not reconciled by edits; reversing keeps it exact
+      const hasLots = (lines) => (lines || []).some((p) => p.lots || p.lotNumber || p.expiryDate);
+      if (data.products !== undefined && (hasLots(previous.products) || hasLots(data.products))) {
+        throw codedError(
+          "VALIDATION_ERROR",
+          "Product lines with lot details cannot be edited. Reverse the movement and record it again instead."
+        );
+      }
+
+      // Department holdings move by the difference between both versions
+      const holdings = await DepartmentStockModel.readHoldingsInTransaction(transaction, [previous, updated]);
+      // Budget of the month the distribution was posted in, without this movement
+      const budget = updated.type === "distribution"
+        ? await BudgetModel.readBudgetInTransaction(
+          transaction,
+          updated.departmentId ? { id: updated.departmentId, name: updated.department } : null,
+          previous.timestamp?.toDate ? previous.timestamp.toDate() : new Date(previous.timestamp),
+          id
+        )
+        : null;
+      // Stock changes at the location the movement was recorded at
+      const locations = await resolveLocations(transaction, previous, { allowInactive: true });
+
+      // 🧮 Per-product difference between the old and the new lines
+      const oldEffects = stockEffectByProduct(previous);
+      const newEffects = stockEffectByProduct(updated);
+      const productIds = [...new Set([...oldEffects.keys(), ...newEffects.keys()])];
+      const previousLines = new Map((previous.products || []).map((p) => [p.productId, p]));
+
+      // Receipt edits move the average cost at the line's purchase price
+      const unitCostFor = (line) =>
+        lineUnitCost(
+          updated,
+          { unitPrice: previousLines.get(line.productId)?.unitPrice, ...line },
+          SupplierModel.getUsualPrice(supplier, line.productId, products.get(line.productId))
+        );
+
+      const stockResults = await ProductModel.applyQuantityChanges(
+        productIds.map((productId) => {
+          const line = updated.products.find((p) => p.productId === productId) || previousLines.get(productId);
+          const unitCost = unitCostFor(line);
+          const oldEffect = oldEffects.get(productId) || 0;
+          const oldPrice = previousLines.get(productId)?.unitPrice;
+
+          // A corrected price also re-values what the line already brought in
+          const repriced = unitCost !== undefined && oldEffect > 0 &&
+            oldPrice !== undefined && oldPrice !== null && Number(oldPrice) !== unitCost;
+
+          return {
+            productId,
+            delta: (newEffects.get(productId) || 0) - oldEffect,
+            ...lineLocationChange(previous, locations, line),
+            unitCost,
+            ...(repriced ? { revalue: { quantity: oldEffect, fromCost: Number(oldPrice), toCost: unitCost } } : {}),
+          };
+        }),
+        transaction
+      );
+
+      // A product removed from the movement may have been deleted since; that is
+      // only a problem if its stock actually has to change
+      const failures = stockResults.filter(
+        (r) => !r.success && (newEffects.has(r.productId) || r.reason === "INSUFFICIENT_STOCK")
+      );
+      if (failures.length > 0) {
+        throw stockFailureError(failures);
+      }
+
+      const resultsById = new Map(stockResults.map((r) => [r.productId, r]));
+
+      const { lines, totalValue, totalItems } = buildMovementLines(
+        updated.type,
+        updated.products,
+        (p) => {
+          const stock = resultsById.get(p.productId);
+          const previousLine = previousLines.get(p.productId);
+
+          // Lines whose quantity is unchanged keep the stock levels recorded when they were posted
+          if (stock.delta === 0 && previousLine) {
+            return {
+              ...stock,
+              oldQuantity: previousLine.previousStock,
+              newQuantity: previousLine.newStock,
+              unitCost: unitCostFor(p) ?? previousLine.unitPrice,
+            };
+          }
+          return { ...stock, unitCost: unitCostFor(p) ?? stock.unitCost };
+        }
+      );
+
+      // 💶 Block mode refuses what the edit adds to the budget; what the
+      // previous version already asked for stays as it was accepted
+      const budgetWarnings = BudgetModel.checkDistribution(budget, lines, totalValue);
+      const previousWarnings = updated.departmentId === previous.departmentId
+        ? BudgetModel.checkDistribution(budget, previous.products || [], previous.totalValue || 0)
+        : [];
+      const addedWarnings = budgetWarnings.filter((warning) => !previousWarnings.some(
+        (w) => w.type === warning.type && w.productId === warning.productId && w.requested >= warning.requested
+      ));
+      if (addedWarnings.length > 0 && budget.budget.mode === "block") {
+        throw codedError(
+          "BUDGET_EXCEEDED",
+          `Distribution exceeds the budget of ${updated.department}: ${addedWarnings.map((w) => w.message).join(", ")}`,
+          addedWarnings.map((w) => w.message)
+        );
+      }
+
+      const revision = previous.revision || 1;
+      const now = new Date();
+
+      const changes = {
+        departmentId: updated.departmentId || null,
+        department: updated.department || null,
+        ...(updated.type === "department_transfer"
+          ? { fromDepartmentId: updated.fromDepartmentId || null, fromDepartment: updated.fromDepartment || null }
+          : {}),
+        supplierId: updated.supplierId || null,
+        supplier: updated.supplier || null,
+        stockManager: updated.stockManager.trim(),
+        products: lines,
+        totalValue,
+        totalItems,
+        notes: updated.notes || "",
+        ...typeSpecificFields(updated),
+        ...(updated.type === "distribution" ? { budgetWarnings } : {}),
+        revision: revision + 1,
+        editedBy: (data.editedBy || updated.stockManager).trim(),
+        editReason: data.editReason || "",
+        updatedAt: now,
+      };
+
+      // 🗃️ Keep the previous version for traceability
+      transaction.set(movementRef.collection("revisions").doc(String(revision)), {
+        ...previous,
+        revision,
+        replacedAt: now,
+        replacedBy: changes.editedBy,
+      });
+      transaction.update(movementRef, changes);
+      DepartmentStockModel.stageHoldingChanges(
+        transaction,
+        holdings,
+        [
+          ...DepartmentStockModel.holdingChanges({ ...updated, products: lines }),
+          ...DepartmentStockModel.holdingChanges(previous).map((c) => ({ ...c, delta: -c.delta })),
+        ],
+        { strict: updated.type === "consumption" }
+      );
+
+      return {
+        movement: { ...previous, ...changes },
+        alerts: collectAlerts(stockResults),
+        stockChanges: stockResults
+          .filter((r) => r.success && r.delta !== 0)
+          .map((r) => ({
+            productId: r.productId,
+            productName: r.productName,
+            delta: r.delta,
+            previousStock: r.oldQuantity,
+            newStock: r.newQuantity,
+          })),
+      };
+    });
+
+    console.log("✅ Stock movement updated successfully:", id);
+
     return {
-      success: false,
-      message: error.message,
+      success: true,
+      id,
+      data: result.movement,
+      stockChanges: result.stockChanges,
+      alerts: result.alerts,
+      message: "Movement updated successfully",
     };
+  } catch (error) {
+    console.error("❌ Error updating stock movement:", error);
+    return toMovementFailure(error);
+  }
+};
+
+// Previous versions of an edited movement, newest first
+exports.getMovementRevisions = async (id) => {
+  const movementDoc = await collection.doc(id).get();
+  if (!movementDoc.exists) throw new Error("Stock movement not found");
+
+  const snapshot = await collection.doc(id).collection("revisions").get();
+
+  return snapshot.docs
+    .map((doc) => {
+      const data = doc.data();
+      return {
+        ...data,
+        replacedAt: data.replacedAt?.toDate ? data.replacedAt.toDate() : new Date(data.replacedAt),
+      };
+    })
+    .sort((a, b) => b.revision - a.revision);
+};
+
+const validateReversalInput = (data) => {
+  if (!data.stockManager || !data.stockManager.trim()) {
+    throw codedError("VALIDATION_ERROR", "Stock manager is required");
+  }
+
+  if (!data.reason || !data.reason.trim()) {
+    throw codedError("VALIDATION_ERROR", "A reason is required to reverse a movement");
   }
 };
+
+// Stage the reversal of a movement inside a transaction, with the same
+// read-before-write rule as stageMovement
+const stageReversal = async (transaction, id, data, { allowSales = false } = {}) => {
+  const originalRef = collection.doc(id);
+  const originalDoc = await transaction.get(originalRef);
+
+  if (!originalDoc.exists) {
+    throw codedError("MOVEMENT_NOT_FOUND", "Movement not found", [`Movement with ID ${id} does not exist`]);
+  }
+
+  const original = originalDoc.data();
+
+  if (original.type === "reversal") {
+    throw codedError("MOVEMENT_REVERSED", "A reversal movement cannot be reversed itself");
+  }
+
+  if (original.reversedBy) {
+    throw codedError("MOVEMENT_REVERSED", `Movement has already been reversed by ${original.reversedBy}`);
+  }
+
+  // The invoice reverses its own sale when it is cancelled
+  const linked = allowSales && original.type === "sale" ? null : linkedMovementError(original, "reverse");
+  if (linked) {
+    throw linked;
+  }
+
+  const { movement: reversal, alerts } = await stageMovement(
+    transaction,
+    {
+      type: "reversal",
+      supplier: original.supplier,
+      stockManager: data.stockManager,
+      notes: data.reason.trim(),
+      products: original.products.map((p) => ({
+        productId: p.productId,
+        quantity: p.quantity,
+        price: p.unitPrice,
+        ...(p.role ? { role: p.role } : {}),
+        // Give back / take back exactly the lots the original moved
+        ...(p.lots ? { lots: p.lots } : {}),
+      })),
+    },
+    {
+      ...typeSpecificFields(original),
+      departmentId: original.departmentId || null,
+      department: original.department || null,
+      ...(original.fromDepartment
+        ? { fromDepartmentId: original.fromDepartmentId || null, fromDepartment: original.fromDepartment }
+        : {}),
+      ...storedLocationFields(original),
+      supplierId: original.supplierId || null,
+      reversalOf: id,
+      reversedType: original.type,
+    }
+  );
+
+  transaction.update(originalRef, {
+    reversedBy: reversal.movementId,
+    reversedAt: reversal.createdAt,
+    reversalReason: data.reason.trim(),
+    updatedAt: reversal.createdAt,
+  });
+
+  return { ...reversal, alerts };
+};
+
+// Reverse a movement inside another model's transaction (e.g. a cancelled
+// invoice giving back its sale). Throws coded errors; see toMovementFailure.
+exports.reverseMovementInTransaction = async (transaction, id, data = {}) => {
+  validateReversalInput(data);
+  return stageReversal(transaction, id, data, { allowSales: true });
+};
+
+// Correct a past movement by posting a compensating movement linked to it.
+// The original stays in the history, marked as reversed.
+exports.reverseMovement = async (id, data = {}) => {
+  try {
+    console.log("↩️ Starting movement reversal:", id);
+
+    validateReversalInput(data);
+
+    const result = await db.runTransaction((transaction) => stageReversal(transaction, id, data));
+
+    console.log("✅ Movement reversed successfully:", id, "by", result.movementId);
+
+    const { alerts, ...reversal } = result;
+
+    return {
+      success: true,
+      id: reversal.movementId,
+      data: reversal,
+      alerts,
+      message: `Movement ${id} reversed by ${reversal.movementId}`,
+    };
+  } catch (error) {
+    console.error("❌ Error reversing movement:", error);
+    return toMovementFailure(error);
+  }
+};
+
 // FIXED: getAllMovements function
 exports.getAllMovements = async (filters = {}) => {
   try {
@@ -204,12 +1248,18 @@ exports.getAllMovements = async (filters = {}) => {
     
     let query = collection;
     
+    // departmentId filters on the department itself, department on the name
+    // snapshot the movements were recorded with
+    const [departmentField, department] = filters.departmentId && filters.departmentId !== 'all'
+      ? ['departmentId', filters.departmentId]
+      : ['department', filters.department];
+    
     // Apply filters carefully to avoid composite index issues
-    if (filters.type && filters.type !== 'all' && filters.department && filters.department !== 'all') {
+    if (filters.type && filters.type !== 'all' && department && department !== 'all') {
       // If both type and department are specified, we need the composite index
       query = query
         .where('type', '==', filters.type)
-        .where('department', '==', filters.department)
+        .where(departmentField, '==', department)
         .orderBy('timestamp', 'desc');
     } 
     else if (filters.type && filters.type !== 'all') {
@@ -218,10 +1268,10 @@ exports.getAllMovements = async (filters = {}) => {
         .where('type', '==', filters.type)
         .orderBy('timestamp', 'desc');
     }
-    else if (filters.department && filters.department !== 'all') {
+    else if (department && department !== 'all') {
       // Only department filter
       query = query
-        .where('department', '==', filters.department)
+        .where(departmentField, '==', department)
         .orderBy('timestamp', 'desc');
     }
     else {
@@ -323,77 +1373,171 @@ exports.getMovementById = async (id) => {
   }
 };
 
+// Type a movement is reported under; reversals count against the type they reverse
+const reportingType = (movement) =>
+  movement.type === 'reversal'
+    ? { type: movement.reversedType, sign: -1 }
+    : { type: movement.type, sign: 1 };
+
+// Whether a movement's department (or fromDepartment) field is the given
+// department ({ id, name }). Movements not migrated yet only have the name.
+const refersTo = (movement, field, department) =>
+  movement[`${field}Id`]
+    ? movement[`${field}Id`] === department.id
+    : Boolean(movement[field]) && movement[field] === department.name;
+
+// How a movement counts for one department: the bucket it is reported in,
+// the reversal sign, and its direction on what the department received
+const departmentEffect = (movement, department) => {
+  const { type, sign } = reportingType(movement);
+  const isDepartment = refersTo(movement, 'department', department);
+
+  switch (type) {
+    case 'distribution':
+      return isDepartment ? { bucket: 'distributed', sign, direction: 1 } : null;
+    case 'department_return':
+      return isDepartment ? { bucket: 'returned', sign, direction: -1 } : null;
+    case 'department_transfer':
+      if (isDepartment) return { bucket: 'transferredIn', sign, direction: 1 };
+      if (refersTo(movement, 'fromDepartment', department)) return { bucket: 'transferredOut', sign, direction: -1 };
+      return null;
+    case 'waste':
+      return isDepartment ? { bucket: 'wasted', sign, direction: 0 } : null;
+    case 'consumption':
+      return isDepartment ? { bucket: 'consumed', sign, direction: 0 } : null;
+    default:
+      return null;
+  }
+};
+
+const emptyDepartmentTotals = () => ({
+  distributed: 0,
+  returned: 0,
+  transferredIn: 0,
+  transferredOut: 0,
+  wasted: 0,
+  consumed: 0,
+});
+
+const toMovement = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    timestamp: data.timestamp?.toDate ? data.timestamp.toDate() : new Date(data.timestamp),
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : new Date(data.createdAt),
+    updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : new Date(data.updatedAt)
+  };
+};
+
 // FIXED: getMovementsByDepartment function
-exports.getMovementsByDepartment = async (department) => {
+// `reference` is the department ID (or its name); a name that matches no
+// department still finds the movements recorded under it
+exports.getMovementsByDepartment = async (reference) => {
   try {
-    console.log('🔍 Getting movements for department:', department);
+    console.log('🔍 Getting movements for department:', reference);
     
-    // Simple query - only filter by department
-    const movementsSnapshot = await collection
-      .where('department', '==', department)
-      .orderBy('timestamp', 'desc')
-      .limit(50)
-      .get();
+    const department = await DepartmentModel.findDepartment(reference) || { id: null, name: reference };
     
-    if (movementsSnapshot.empty) {
-      console.log(`ℹ️  No movements found for department: ${department}`);
-      return {
-        department: department,
-        totalDistributions: 0,
-        totalProductsDistributed: 0,
-        productBreakdown: [],
-        recentMovements: []
-      };
+    // Movements to the department and transfers out of it, by ID and by the
+    // name older movements were recorded with
+    const queries = [['department', department.name], ['fromDepartment', department.name]];
+    if (department.id) {
+      queries.push(['departmentId', department.id], ['fromDepartmentId', department.id]);
     }
     
-    const movements = [];
+    const snapshots = await Promise.all(
+      queries.map(([field, value]) => collection
+        .where(field, '==', value)
+        .orderBy('timestamp', 'desc')
+        .limit(50)
+        .get())
+    );
+    
+    const movementsById = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => movementsById.set(doc.id, toMovement(doc))));
+    
+    const movements = [...movementsById.values()]
+      .filter(movement => departmentEffect(movement, department))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 50);
+    
     let totalDistributions = 0;
-    let totalProductsDistributed = 0;
+    let netReceived = 0;
+    const totals = emptyDepartmentTotals();
     const productBreakdownMap = new Map();
     
-    movementsSnapshot.forEach(doc => {
-      const data = doc.data();
-      const movement = {
-        id: doc.id,
-        ...data,
-        timestamp: data.timestamp?.toDate ? data.timestamp.toDate() : new Date(data.timestamp),
-        createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : new Date(data.createdAt),
-        updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : new Date(data.updatedAt)
-      };
-      movements.push(movement);
+    movements.forEach(movement => {
+      const effect = departmentEffect(movement, department);
+      if (!effect) return;
       
-      // Count distributions and products
-      if (movement.type === 'distribution') {
-        totalDistributions++;
-        totalProductsDistributed += movement.totalItems || 0;
-        
-        // Calculate product breakdown
-        if (movement.products && Array.isArray(movement.products)) {
-          movement.products.forEach(product => {
-            const key = product.productId;
-            if (!productBreakdownMap.has(key)) {
-              productBreakdownMap.set(key, {
-                productId: product.productId,
-                productName: product.productName,
-                totalQuantity: 0,
-                unit: product.unit
-              });
-            }
-            const existing = productBreakdownMap.get(key);
-            existing.totalQuantity += product.quantity || 0;
-          });
-        }
+      if (movement.type === 'distribution') totalDistributions++;
+      totals[effect.bucket] += effect.sign * (movement.totalItems || 0);
+      netReceived += effect.direction * effect.sign * (movement.totalItems || 0);
+      
+      // Calculate product breakdown
+      if (movement.products && Array.isArray(movement.products)) {
+        movement.products.forEach(product => {
+          const key = product.productId;
+          if (!productBreakdownMap.has(key)) {
+            productBreakdownMap.set(key, {
+              productId: product.productId,
+              productName: product.productName,
+              totalQuantity: 0,
+              ...emptyDepartmentTotals(),
+              unit: product.unit
+            });
+          }
+          const existing = productBreakdownMap.get(key);
+          existing[effect.bucket] += effect.sign * (product.quantity || 0);
+          existing.totalQuantity += effect.direction * effect.sign * (product.quantity || 0);
+        });
       }
     });
     
-    const productBreakdown = Array.from(productBreakdownMap.values());
+    // What a department that tracks its stock still holds, next to what it used
+    const holdings = department.id && department.tracksInventory === true
+      ? await DepartmentStockModel.getDepartmentStock(department.id)
+      : [];
+    holdings.forEach(holding => {
+      if (!productBreakdownMap.has(holding.productId)) {
+        productBreakdownMap.set(holding.productId, {
+          productId: holding.productId,
+          productName: holding.productName,
+          totalQuantity: 0,
+          ...emptyDepartmentTotals(),
+          unit: holding.unit
+        });
+      }
+    });
+    const onHandByProduct = new Map(holdings.map(holding => [holding.productId, holding.quantity]));
+
+    const productBreakdown = Array.from(productBreakdownMap.values()).map(product => (
+      department.tracksInventory === true
+        ? { ...product, onHand: onHandByProduct.get(product.productId) || 0 }
+        : product
+    ));
     
-    console.log(`✅ Found ${totalDistributions} distributions for ${department}`);
+    console.log(`✅ Found ${totalDistributions} distributions for ${department.name}`);
     
     return {
-      department: department,
+      departmentId: department.id,
+      department: department.name,
       totalDistributions,
-      totalProductsDistributed,
+      totalProductsDistributed: totals.distributed,
+      totalReturned: totals.returned,
+      totalTransferredIn: totals.transferredIn,
+      totalTransferredOut: totals.transferredOut,
+      totalWasted: totals.wasted,
+      netReceived,
+      tracksInventory: department.tracksInventory === true,
+      totalConsumed: totals.consumed,
+      onHand: holdings.map(holding => ({
+        productId: holding.productId,
+        productName: holding.productName,
+        quantity: holding.quantity,
+        unit: holding.unit
+      })),
       productBreakdown,
       recentMovements: movements.slice(0, 10) // Last 10 movements
     };
@@ -409,6 +1553,113 @@ exports.getMovementsByDepartment = async (department) => {
   }
 };
 
+// End-of-shift count of a department that tracks its stock: whatever it held
+// and no longer has was used up, and is recorded as one consumption movement.
+// Products that are not counted keep their holding.
+exports.recordDepartmentCount = async (departmentId, data = {}) => {
+  try {
+    if (!data.stockManager || !data.stockManager.trim()) {
+      throw codedError("VALIDATION_ERROR", "Stock manager is required");
+    }
+    if (!Array.isArray(data.counts) || data.counts.length === 0) {
+      throw codedError("VALIDATION_ERROR", "Counts must be a non-empty array");
+    }
+    const invalid = data.counts
+      .map((c, index) => (!c.productId || typeof c.quantity !== "number" || c.quantity < 0 ? `Count ${index + 1}` : null))
+      .filter(Boolean);
+    if (invalid.length > 0) {
+      throw codedError(
+        "VALIDATION_ERROR",
+        `Each count needs a productId and a quantity of zero or more: ${invalid.join(", ")}`
+      );
+    }
+
+    const result = await db.runTransaction(async (transaction) => {
+      const department = await resolveDepartment(transaction, departmentId);
+      if (department.tracksInventory !== true) {
+        throw codedError("VALIDATION_ERROR", `${department.name} does not track its own stock`);
+      }
+
+      const products = await readLineProducts(transaction, data.counts);
+      const missing = data.counts.filter((c) => !products.has(c.productId)).map((c) => c.productId);
+      if (missing.length > 0) {
+        throw codedError("PRODUCT_NOT_FOUND", `Products not found: ${missing.join(", ")}`);
+      }
+
+      const counted = toBaseUnitLines(data.counts, products);
+      const holdings = await DepartmentStockModel.readHoldingsInTransaction(transaction, [
+        { type: "consumption", departmentId: department.id, products: counted },
+      ]);
+
+      const errors = [];
+      const lines = counted.map((c) => {
+        const product = products.get(c.productId);
+        const held = DepartmentStockModel.heldQuantity(holdings, department.id, c.productId);
+        if (c.quantity > held) {
+          errors.push(`${product.name}: counted ${c.quantity} ${product.unit || ""} but the department holds ${held}`);
+        }
+        return {
+          productId: c.productId,
+          productName: product.name,
+          unit: product.unit || "unit",
+          held,
+          counted: c.quantity,
+          consumed: roundQuantity(held - c.quantity),
+        };
+      });
+
+      // Stock the department got outside the system has to be brought in first
+      if (errors.length > 0) {
+        throw codedError(
+          "VALIDATION_ERROR",
+          `Counted more than the department holds: ${errors.join(", ")}. Record the distribution or transfer first.`,
+          errors
+        );
+      }
+
+      const consumed = lines.filter((line) => line.consumed > 0);
+      if (consumed.length === 0) {
+        return { department, lines, movement: null, alerts: [] };
+      }
+
+      const consumption = {
+        type: "consumption",
+        departmentId: department.id,
+        stockManager: data.stockManager,
+        notes: data.notes || `End of shift count for ${department.name}`,
+        products: consumed.map((line) => ({ productId: line.productId, quantity: line.consumed })),
+      };
+      validateMovementInput(consumption);
+
+      const { movement, alerts } = await stageMovement(transaction, consumption, {
+        count: { countedAt: new Date(), lines },
+      });
+
+      return { department, lines, movement, alerts };
+    });
+
+    console.log("✅ Department count recorded:", result.department.name, result.movement ? result.movement.movementId : "nothing consumed");
+
+    return {
+      success: true,
+      id: result.movement ? result.movement.movementId : null,
+      data: {
+        departmentId: result.department.id,
+        department: result.department.name,
+        movementId: result.movement ? result.movement.movementId : null,
+        totalConsumed: result.movement ? result.movement.totalItems : 0,
+        consumedValue: result.movement ? result.movement.totalValue : 0,
+        lines: result.lines,
+      },
+      alerts: result.alerts,
+      message: result.movement ? MOVEMENT_MESSAGES.consumption : "Count recorded, nothing was consumed",
+    };
+  } catch (error) {
+    console.error("❌ Error recording department count:", error);
+    return toMovementFailure(error);
+  }
+};
+
 // FIXED: getMovementStatistics function
 exports.getMovementStatistics = async (period = 'month') => {
   try {
@@ -439,19 +1690,6 @@ exports.getMovementStatistics = async (period = 'month') => {
       .orderBy('timestamp', 'desc')
       .get();
 
-    if (snapshot.empty) {
-      return {
-        totalMovements: 0,
-        stockInCount: 0,
-        distributionCount: 0,
-        totalStockIn: 0,
-        totalDistribution: 0,
-        totalValue: 0,
-        departmentBreakdown: [],
-        topProducts: []
-      };
-    }
-
     const movements = snapshot.docs.map(doc => {
       const data = doc.data();
       return {
@@ -460,31 +1698,99 @@ exports.getMovementStatistics = async (period = 'month') => {
       };
     });
 
+    // Count and quantity per movement type; reversals are counted as such
+    // and take their quantities off the type they reverse
+    const byType = {};
+    [...Object.keys(MOVEMENT_DIRECTIONS), 'reversal'].forEach(type => {
+      byType[type] = { count: 0, quantity: 0, value: 0 };
+    });
+
+    let adjustmentsIn = 0;
+    let adjustmentsOut = 0;
+    const wasteByReason = {};
+
+    movements.forEach(movement => {
+      if (byType[movement.type]) byType[movement.type].count++;
+
+      const { type, sign } = reportingType(movement);
+      if (byType[type]) {
+        byType[type].quantity += sign * (movement.totalItems || 0);
+        byType[type].value += sign * (movement.totalValue || 0);
+      }
+
+      if (type === 'adjustment') {
+        (movement.products || []).forEach(product => {
+          const quantity = sign * (product.quantity || 0);
+          if (quantity > 0) adjustmentsIn += quantity;
+          else adjustmentsOut -= quantity;
+        });
+      }
+
+      if (type === 'waste') {
+        const reason = movement.reasonCode || 'other';
+        wasteByReason[reason] = (wasteByReason[reason] || 0) + sign * (movement.totalItems || 0);
+      }
+    });
+
     const statistics = {
       totalMovements: movements.length,
-      stockInCount: movements.filter(m => m.type === 'stock_in').length,
-      distributionCount: movements.filter(m => m.type === 'distribution').length,
-      totalStockIn: movements
-        .filter(m => m.type === 'stock_in')
-        .reduce((sum, m) => sum + (m.totalItems || 0), 0),
-      totalDistribution: movements
-        .filter(m => m.type === 'distribution')
-        .reduce((sum, m) => sum + (m.totalItems || 0), 0),
-      totalValue: movements
-        .filter(m => m.type === 'stock_in')
-        .reduce((sum, m) => sum + (m.totalValue || 0), 0),
+      stockInCount: byType.stock_in.count,
+      distributionCount: byType.distribution.count,
+      wasteCount: byType.waste.count,
+      departmentReturnCount: byType.department_return.count,
+      supplierReturnCount: byType.supplier_return.count,
+      transferCount: byType.department_transfer.count,
+      adjustmentCount: byType.adjustment.count,
+      productionCount: byType.production.count,
+      consumptionCount: byType.consumption.count,
+      locationTransferCount: byType.location_transfer.count,
+      saleCount: byType.sale.count,
+      reversalCount: byType.reversal.count,
+      totalStockIn: byType.stock_in.quantity,
+      totalDistribution: byType.distribution.quantity,
+      totalWaste: byType.waste.quantity,
+      totalDepartmentReturns: byType.department_return.quantity,
+      totalSupplierReturns: byType.supplier_return.quantity,
+      totalTransferred: byType.department_transfer.quantity,
+      totalConsumption: byType.consumption.quantity,
+      totalSales: byType.sale.quantity,
+      adjustmentsIn,
+      adjustmentsOut,
+      wasteByReason,
+      totalValue: roundMoney(byType.stock_in.value),
+      totalDistributionValue: roundMoney(byType.distribution.value),
+      totalWasteValue: roundMoney(byType.waste.value),
+      totalSalesValue: roundMoney(byType.sale.value),
+      byType,
       departmentBreakdown: {},
       topProducts: {}
     };
 
-    // Calculate department breakdown
+    // Calculate department breakdown, under each department's current name
+    const departmentNames = await DepartmentModel.getDepartmentNames();
     movements.forEach(movement => {
-      if (movement.type === 'distribution' && movement.department) {
-        if (!statistics.departmentBreakdown[movement.department]) {
-          statistics.departmentBreakdown[movement.department] = 0;
+      const departments = [
+        { id: movement.departmentId, name: movement.department },
+        { id: movement.fromDepartmentId, name: movement.fromDepartment }
+      ].filter(department => department.id || department.name);
+
+      departments.forEach(department => {
+        const effect = departmentEffect(movement, department);
+        if (!effect) return;
+
+        const key = department.id || department.name;
+        if (!statistics.departmentBreakdown[key]) {
+          statistics.departmentBreakdown[key] = {
+            departmentId: department.id || null,
+            department: departmentNames.get(department.id) || department.name,
+            quantity: 0,
+            ...emptyDepartmentTotals()
+          };
         }
-        statistics.departmentBreakdown[movement.department] += movement.totalItems || 0;
-      }
+        const entry = statistics.departmentBreakdown[key];
+        entry[effect.bucket] += effect.sign * (movement.totalItems || 0);
+        entry.quantity += effect.direction * effect.sign * (movement.totalItems || 0);
+      });
     });
 
     // Calculate top products
@@ -498,15 +1804,14 @@ exports.getMovementStatistics = async (period = 'month') => {
                 totalQuantity: 0
               };
             }
-            statistics.topProducts[product.productId].totalQuantity += product.quantity || 0;
+            statistics.topProducts[product.productId].totalQuantity += Math.abs(product.quantity || 0);
           }
         });
       }
     });
 
     // Convert to arrays and sort
-    statistics.departmentBreakdown = Object.entries(statistics.departmentBreakdown)
-      .map(([department, quantity]) => ({ department, quantity }))
+    statistics.departmentBreakdown = Object.values(statistics.departmentBreakdown)
       .sort((a, b) => b.quantity - a.quantity);
 
     statistics.topProducts = Object.values(statistics.topProducts)
@@ -531,6 +1836,46 @@ exports.getMovementStatistics = async (period = 'month') => {
  * Controller for deleting stock movements
  * Handles HTTP responses and errors from the model
  */
+// Why a movement cannot be deleted, as a failed result, or null when it can.
+// Only recent data-entry mistakes are deleted: reversed movements and
+// reversals are corrected history, and sales, purchase order receipts and
+// requisition fulfilments are undone through their document.
+const deletionRefusal = (movement, hoursDiff) => {
+  if (hoursDiff > 24) {
+    return {
+      success: false,
+      message: "Cannot delete movement older than 24 hours",
+      code: "MOVEMENT_TOO_OLD",
+      errors: [
+        `Movement was created ${hoursDiff.toFixed(2)} hours ago`,
+        "Only movements from the last 24 hours can be deleted"
+      ]
+    };
+  }
+
+  if (movement.reversedBy || movement.type === "reversal") {
+    return {
+      success: false,
+      message: movement.reversedBy
+        ? `Cannot delete a movement that has been reversed by ${movement.reversedBy}`
+        : "Cannot delete a reversal movement",
+      code: "MOVEMENT_REVERSED",
+      errors: ["Movements linked by a reversal stay in the history"]
+    };
+  }
+
+  const linked = linkedMovementError(movement, "delete");
+  return linked ? toMovementFailure(linked) : null;
+};
+
+// Hours since a movement was posted
+const movementAgeHours = (movement, now = new Date()) => {
+  const movementTimestamp = movement.timestamp?.toDate 
+    ? movement.timestamp.toDate() 
+    : new Date(movement.timestamp || movement.createdAt);
+  return (now - movementTimestamp) / (1000 * 60 * 60);
+};
+
 exports.deleteMovement = async (id) => {
   try {
     console.log("🗑️ Model: Starting movement deletion for ID:", id);
@@ -547,49 +1892,65 @@ exports.deleteMovement = async (id) => {
       };
     }
 
-    const movement = {
-      id: movementDoc.id,
-      ...movementDoc.data()
-    };
-
-    // 24-hour check logic
-    const movementTimestamp = movement.timestamp?.toDate 
-      ? movement.timestamp.toDate() 
-      : new Date(movement.timestamp || movement.createdAt);
-    
-    const now = new Date();
-    const timeDiff = now - movementTimestamp;
-    const hoursDiff = timeDiff / (1000 * 60 * 60);
-
-    if (hoursDiff > 24) {
-      return {
-        success: false,
-        message: "Cannot delete movement older than 24 hours",
-        code: "MOVEMENT_TOO_OLD",
-        errors: [
-          `Movement was created ${hoursDiff.toFixed(2)} hours ago`,
-          "Only movements from the last 24 hours can be deleted"
-        ]
-      };
+    const refusal = deletionRefusal(movementDoc.data(), movementAgeHours(movementDoc.data()));
+    if (refusal) {
+      return refusal;
     }
 
-    // Stock restoration logic - FIXED: Handle array responses from ProductModel
+    // Stock restoration and deletion are committed together, from the
+    // movement as it is in the transaction: an edit committed since the read
+    // above changed what has to be restored
+    let movement;
+    let hoursDiff;
     let stockRestorationResults;
-    
-    if (movement.type === "stock_in") {
-      stockRestorationResults = await ProductModel.removeQuantitiesFromProducts(
-        movement.products.map((p) => ({
-          productId: p.productId,
-          quantityToRemove: p.quantity,
-        }))
-      );
-    } else if (movement.type === "distribution") {
-      stockRestorationResults = await ProductModel.addQuantitiesToProducts(
-        movement.products.map((p) => ({
-          productId: p.productId,
-          quantityToAdd: p.quantity,
-        }))
-      );
+    try {
+      stockRestorationResults = await db.runTransaction(async (transaction) => {
+        const movementRef = db.collection("stockMovements").doc(id);
+        const current = await transaction.get(movementRef);
+
+        if (!current.exists) {
+          throw codedError("MOVEMENT_NOT_FOUND", "Movement was deleted in the meantime");
+        }
+
+        movement = { id: current.id, ...current.data() };
+        hoursDiff = movementAgeHours(movement);
+        const changed = deletionRefusal(movement, hoursDiff);
+        if (changed) {
+          throw codedError(changed.code, changed.message, changed.errors);
+        }
+
+        // Undone as a reversal would undo it (stock, location, lots, average
+        // cost and department holdings), without keeping either movement
+        const undo = { ...movement, type: "reversal", reversedType: movement.type };
+
+        // 🧮 Reads first: locations, department holdings, then products (in applyQuantityChanges)
+        // Stock goes back to where the movement took it from (or moved it to)
+        const locations = await resolveLocations(transaction, movement, { allowInactive: true });
+        const holdings = await DepartmentStockModel.readHoldingsInTransaction(transaction, [undo]);
+
+        const results = (await ProductModel.applyQuantityChanges(
+          movement.products.map((p) => ({
+            productId: p.productId,
+            delta: lineStockEffect(undo, p),
+            ...lineLocationChange(undo, locations, p),
+            lots: p.lots,
+            unitCost: lineUnitCost(undo, p),
+          })),
+          transaction
+        )).map(({ product, ...result }) => result);
+
+        // Abort the whole transaction, nothing is restored or deleted
+        if (results.some((result) => !result.success)) {
+          throw Object.assign(codedError("STOCK_RESTORATION_FAILED", "Failed to restore stock levels"), { results });
+        }
+
+        DepartmentStockModel.stageHoldingChanges(transaction, holdings, DepartmentStockModel.holdingChanges(undo));
+        transaction.delete(movementRef);
+        return results;
+      });
+    } catch (error) {
+      if (error.code !== "STOCK_RESTORATION_FAILED") throw error;
+      stockRestorationResults = error.results;
     }
 
     // Check if any product operations failed
@@ -614,9 +1975,6 @@ exports.deleteMovement = async (id) => {
       };
     }
 
-    // All stock operations succeeded, now delete the movement
-    await db.collection("stockMovements").doc(id).delete();
-
     console.log("✅ Movement deleted and stock restored successfully");
 
     return {
@@ -639,12 +1997,7 @@ exports.deleteMovement = async (id) => {
 
   } catch (error) {
     console.error('❌ Model error in deleteMovement:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to delete movement',
-      code: "INTERNAL_ERROR",
-      errors: [error.message]
-    };
+    return toMovementFailure(error);
   }
 };
 
@@ -656,6 +2009,7 @@ exports.checkMovementDeletable = async (id) => {
       return {
         success: false,
         message: "Movement not found",
+        code: "MOVEMENT_NOT_FOUND",
         errors: [`Movement with ID ${id} does not exist`]
       };
     }
@@ -666,9 +2020,9 @@ exports.checkMovementDeletable = async (id) => {
       : new Date(movement.timestamp || movement.createdAt);
     
     const now = new Date();
-    const timeDiff = now - movementTimestamp;
-    const hoursDiff = timeDiff / (1000 * 60 * 60);
-    const canDelete = hoursDiff <= 24;
+    const hoursDiff = movementAgeHours(movement, now);
+    const isReversalLinked = Boolean(movement.reversedBy) || movement.type === "reversal";
+    const canDelete = !deletionRefusal(movement, hoursDiff);
     const timeRemaining = canDelete ? (24 - hoursDiff) : 0;
 
     return {
@@ -681,7 +2035,9 @@ exports.checkMovementDeletable = async (id) => {
         hoursDifference: parseFloat(hoursDiff.toFixed(2)),
         timeRemaining: parseFloat(timeRemaining.toFixed(2)),
         timeRemainingFormatted: `${Math.floor(timeRemaining)}h ${Math.round((timeRemaining % 1) * 60)}m`,
-        isExpired: !canDelete
+        isExpired: hoursDiff > 24,
+        canReverse: !isReversalLinked && !linkOf(movement),
+        reversedBy: movement.reversedBy || null
       }
     };
 
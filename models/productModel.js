@@ -1,46 +1,19 @@
 const { db } = require("../config/firebase");
 const collection = db.collection("products");
-const counterCollection = db.collection("counters");
-
-// Get next sequential ID with leading zeros
-const getNextProductId = async () => {
-  const counterRef = counterCollection.doc("products");
-  
-  try {
-    // Use transaction to safely increment counter
-    const result = await db.runTransaction(async (transaction) => {
-      const counterDoc = await transaction.get(counterRef);
-      
-      let currentCount = 1;
-      if (counterDoc.exists) {
-        currentCount = counterDoc.data().count + 1;
-      }
-      
-      transaction.set(counterRef, { count: currentCount });
-      return currentCount;
-    });
-    
-    // Format with leading zeros (001, 002, ..., 010, 011, etc.)
-    const formattedNumber = result.toString().padStart(3, '0');
-    return `prod-${formattedNumber}`;
-    
-  } catch (error) {
-    console.error("Error getting sequential ID:", error);
-    // Fallback to timestamp if transaction fails
-    const timestamp = Date.now().toString(36);
-    return `prod-${timestamp}`;
-  }
-};
+const StockAlertModel = require("./stockAlertModel");
+const TaxModel = require("./taxModel");
+const CounterModel = require("./counterModel");
+const { codedError } = require("../utils/errors");
 
 exports.createProduct = async (data) => {
   try {
     // Input validation
     if (!data.name || !data.name.trim()) {
-      throw new Error('Product name is required');
+      throw codedError('VALIDATION_ERROR', 'Product name is required');
     }
 
     if (!data.categories || !Array.isArray(data.categories) || data.categories.length === 0) {
-      throw new Error('At least one category is required');
+      throw codedError('VALIDATION_ERROR', 'At least one category is required');
     }
 
     // Check for duplicate product name
@@ -50,20 +23,36 @@ exports.createProduct = async (data) => {
 
     if (!productsSnapshot.empty) {
       const existingProduct = productsSnapshot.docs[0].data();
-      throw new Error(`Product "${data.name}" already exists with ID: ${productsSnapshot.docs[0].id}`);
+      throw codedError('DUPLICATE_PRODUCT', `Product "${data.name}" already exists with ID: ${productsSnapshot.docs[0].id}`);
     }
 
+    const stockLevels = parseStockLevels(data);
+    const taxRate = TaxModel.parseTaxRate(data.taxRate);
+    const baseUnit = data.unit || "unit";
+    const units = parseUnits(data.units, baseUnit);
+    const codes = parseCodes(data, { unit: baseUnit, units });
+    await checkCodesAvailable(codes.lookupCodes);
+
     // Create the product
-    const productId = await getNextProductId();
+    const productId = await CounterModel.nextId("products", "prod-", 3);
     
     const productData = {
       imageUrl: data.imageUrl || null,
       name: data.name.trim(),
-      unit: data.unit || "unit",
+      unit: baseUnit, // Base unit: stock, lots and costs are kept in it
+      units, // Purchase / issue units with their conversion factor
+      sku: codes.sku, // Stock keeping unit, unique across products
+      barcodes: codes.barcodes, // EAN-13 and supplier codes, unique across products
+      lookupCodes: codes.lookupCodes, // Normalized SKU and barcodes, for scan lookups
       quantity: parseInt(data.quantity) || 0, // Keep both for compatibility
       categories: data.categories, // Array of categories
       primaryCategory: data.primaryCategory || data.categories[0], // First category as primary
       description: data.description || "",
+      minLevel: stockLevels.minLevel ?? null, // Critical at or below this level
+      reorderPoint: stockLevels.reorderPoint ?? null, // Low at or below this level
+      targetLevel: stockLevels.targetLevel ?? null, // Level to order back up to
+      averageCost: Number(data.averageCost) || 0, // Weighted average unit cost, updated on receipts
+      taxRate, // VAT rate in percent; null to use the rate of its category
       createdAt: new Date(),
       updatedAt: new Date(),
       lastUsed: null, // Will be updated when product is actually used
@@ -136,7 +125,7 @@ exports.recordProductUsage = async (productId, usageData) => {
 };
 exports.getProductById = async (id) => {
   const doc = await collection.doc(id).get();
-  if (!doc.exists) throw new Error("Product not found");
+  if (!doc.exists) throw codedError("PRODUCT_NOT_FOUND", "Product not found");
   return { id: doc.id, ...doc.data() };
 };
 
@@ -146,7 +135,7 @@ exports.updateProduct = async (productId, updateData) => {
     const productDoc = await productRef.get();
     
     if (!productDoc.exists) {
-      throw new Error('Product not found');
+      throw codedError('PRODUCT_NOT_FOUND', 'Product not found');
     }
 
     const allowedFields = ['name', 'unit', 'description', 'categories', 'primaryCategory', 'imageUrl'];
@@ -161,7 +150,7 @@ exports.updateProduct = async (productId, updateData) => {
           updates.name = updateData.name.trim();
         } else if (field === 'categories' && updateData.categories) {
           if (!Array.isArray(updateData.categories) || updateData.categories.length === 0) {
-            throw new Error('Categories must be a non-empty array');
+            throw codedError('VALIDATION_ERROR', 'Categories must be a non-empty array');
           }
           updates.categories = updateData.categories;
           updates.primaryCategory = updateData.primaryCategory || updateData.categories[0];
@@ -171,6 +160,38 @@ exports.updateProduct = async (productId, updateData) => {
       }
     });
 
+    Object.assign(updates, parseStockLevels(updateData, productDoc.data()));
+
+    if (updateData.taxRate !== undefined) {
+      updates.taxRate = TaxModel.parseTaxRate(updateData.taxRate);
+    }
+
+    // Stock is counted in the base unit, so it can only change while there is none
+    const current = productDoc.data();
+    if (updates.unit !== undefined && updates.unit !== (current.unit || 'unit') && getStockLevel(current) !== 0) {
+      throw codedError('VALIDATION_ERROR', 'The base unit cannot be changed while the product has stock');
+    }
+
+    if (updateData.units !== undefined) {
+      updates.units = parseUnits(updateData.units, updates.unit || current.unit || 'unit');
+    }
+
+    // SKU and barcodes stay unique across products
+    if (updateData.sku !== undefined || updateData.barcodes !== undefined) {
+      const codes = parseCodes(
+        {
+          sku: updateData.sku !== undefined ? updateData.sku : current.sku,
+          barcodes: updateData.barcodes !== undefined ? updateData.barcodes : current.barcodes,
+        },
+        { unit: updates.unit || current.unit || 'unit', units: updates.units || current.units || [] }
+      );
+      await checkCodesAvailable(codes.lookupCodes, productId);
+      Object.assign(updates, codes);
+    } else if (updates.units !== undefined || updates.unit !== undefined) {
+      // Case barcodes must keep pointing at a unit the product has
+      parseCodes(current, { unit: updates.unit || current.unit || 'unit', units: updates.units || current.units || [] });
+    }
+
     // If name is being updated, check for duplicates (excluding current product)
     if (updateData.name) {
       const productsSnapshot = await collection
@@ -179,7 +200,7 @@ exports.updateProduct = async (productId, updateData) => {
 
       const duplicate = productsSnapshot.docs.find(doc => doc.id !== productId);
       if (duplicate) {
-        throw new Error(`Product name "${updateData.name}" is already in use`);
+        throw codedError('DUPLICATE_PRODUCT', `Product name "${updateData.name}" is already in use`);
       }
     }
 
@@ -187,7 +208,7 @@ exports.updateProduct = async (productId, updateData) => {
 
     return {
       message: 'Product updated successfully',
-      updatedFields: Object.keys(updates).filter(key => key !== 'updatedAt')
+      updatedFields: Object.keys(updates).filter(key => key !== 'updatedAt' && key !== 'lookupCodes')
     };
   } catch (error) {
     console.error('Error updating product:', error);
@@ -200,113 +221,731 @@ exports.deleteProduct = async (id) => {
   return { success: true };
 };
 
-// Add quantities function (keep your existing implementation)
-exports.addQuantitiesToProducts = async (products) => {
-  const results = [];
-  const batch = db.batch();
-  
-  for (const product of products) {
-    try {
-      const docRef = collection.doc(product.productId);
-      const doc = await docRef.get();
-      
-      if (!doc.exists) {
-        results.push({
-          productId: product.productId,
-          success: false,
-          error: 'Product not found'
-        });
-        continue;
-      }
-      
-      const currentProduct = { id: doc.id, ...doc.data() };
-      const currentQuantity = currentProduct.q || 0;
-      const newQuantity = currentQuantity + product.quantityToAdd;
-      
-      batch.update(docRef, { 
-        q: newQuantity,
-        updatedAt: new Date() 
-      });
-      
-      results.push({
-        productId: product.productId,
-        productName: currentProduct.name,
-        oldQuantity: currentQuantity,
-        quantityAdded: product.quantityToAdd,
-        newQuantity: newQuantity,
-        success: true
-      });
-      
-    } catch (error) {
-      results.push({
-        productId: product.productId,
-        success: false,
-        error: error.message
-      });
+const sameUnit = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Alternative units of a product, e.g. { name: "sack", factor: 25000, purpose: "purchase" }
+// for flour kept in grams: one sack is 25000 base units
+const parseUnits = (units, baseUnit) => {
+  if (units === undefined || units === null) return [];
+  if (!Array.isArray(units)) {
+    throw codedError('VALIDATION_ERROR', 'units must be an array');
+  }
+
+  const parsed = units.map((unit) => {
+    const name = typeof unit.name === 'string' ? unit.name.trim() : '';
+    const factor = Number(unit.factor);
+
+    if (!name || !(factor > 0)) {
+      throw codedError('VALIDATION_ERROR', `Invalid unit ${JSON.stringify(unit)}: a name and a positive factor are required`);
     }
+    if (sameUnit(name, baseUnit)) {
+      throw codedError('VALIDATION_ERROR', `Unit "${name}" is the base unit`);
+    }
+    if (unit.purpose !== undefined && !['purchase', 'issue', 'both'].includes(unit.purpose)) {
+      throw codedError('VALIDATION_ERROR', `Invalid purpose for unit "${name}". Must be purchase, issue or both`);
+    }
+
+    return { name, factor, purpose: unit.purpose || 'both' };
+  });
+
+  const names = parsed.map((unit) => unit.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    throw codedError('VALIDATION_ERROR', 'Unit names must be unique');
   }
-  
-  await batch.commit();
-  return results;
+
+  return parsed;
 };
-exports.removeQuantitiesFromProducts = async (products) => {
-  const results = [];
-  const batch = db.batch();
-  
-  for (const product of products) {
-    try {
-      const docRef = db.collection('products').doc(product.productId); // Fixed: added db.collection
-      const doc = await docRef.get();
-      
-      if (!doc.exists) {
-        results.push({
-          productId: product.productId,
-          success: false,
-          error: 'Product not found'
-        });
-        continue;
-      }
-      
-      const currentProduct = { id: doc.id, ...doc.data() };
-      const currentQuantity = currentProduct.q || currentProduct.quantity || 0;
-      
-      // Check if enough stock exists
-      if (currentQuantity < product.quantityToRemove) {
-        results.push({
-          productId: product.productId,
-          productName: currentProduct.name,
-          success: false,
-          error: `Insufficient stock. Available: ${currentQuantity}, Requested to remove: ${product.quantityToRemove}`
-        });
-        continue;
-      }
-      
-      const newQuantity = currentQuantity - product.quantityToRemove;
-      
-      batch.update(docRef, { 
-        q: newQuantity,
-        quantity: newQuantity, // Also update quantity field for consistency
-        updatedAt: new Date() 
+
+// A unit of the product with its factor to the base unit; no unit means the
+// base unit. Null when the product does not define the unit.
+const findUnit = (product, unit) => {
+  const baseUnit = product.unit || 'unit';
+  if (!unit || sameUnit(unit, baseUnit)) {
+    return { name: baseUnit, factor: 1 };
+  }
+  return (product.units || []).find((u) => sameUnit(u.name, unit)) || null;
+};
+exports.findUnit = findUnit;
+
+// Scanned and typed codes are matched without spaces and case
+const normalizeCode = (code) => String(code).replace(/\s+/g, '').toUpperCase();
+exports.normalizeCode = normalizeCode;
+
+const BARCODE_TYPES = ['ean13', 'ean8', 'upc', 'supplier', 'other'];
+exports.BARCODE_TYPES = BARCODE_TYPES;
+
+// Digits of each GTIN type, the last one being the check digit
+const GTIN_LENGTHS = { ean13: 13, ean8: 8, upc: 12 };
+
+// GTIN check digit: weights 3 and 1 alternating from the rightmost data digit
+const hasValidCheckDigit = (code) => {
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+// A type is guessed from the length when it is not given
+const guessBarcodeType = (code) =>
+  Object.keys(GTIN_LENGTHS).find((type) => /^\d+$/.test(code) && code.length === GTIN_LENGTHS[type]) || 'other';
+
+// SKU and barcodes of a product. A barcode may stand for a unit other than
+// the base unit, e.g. the supplier's case code for a case of 12 bottles:
+// { code: "5012345678900", type: "ean13", unit: "case", supplierId: "sup-001" }
+const parseCodes = (data, product) => {
+  const sku = typeof data.sku === 'string' && data.sku.trim() ? data.sku.trim() : null;
+  if (data.sku !== undefined && data.sku !== null && data.sku !== '' && !sku) {
+    throw codedError('VALIDATION_ERROR', 'sku must be a non-empty string');
+  }
+
+  if (data.barcodes !== undefined && data.barcodes !== null && !Array.isArray(data.barcodes)) {
+    throw codedError('VALIDATION_ERROR', 'barcodes must be an array');
+  }
+
+  const barcodes = (data.barcodes || []).map((entry) => {
+    const barcode = typeof entry === 'string' ? { code: entry } : entry || {};
+    const code = barcode.code !== undefined && barcode.code !== null ? normalizeCode(barcode.code) : '';
+    const type = barcode.type || guessBarcodeType(code);
+
+    if (!code) {
+      throw codedError('VALIDATION_ERROR', `Invalid barcode ${JSON.stringify(entry)}: a code is required`);
+    }
+    if (!BARCODE_TYPES.includes(type)) {
+      throw codedError('VALIDATION_ERROR', `Invalid type for barcode "${code}". Must be one of: ${BARCODE_TYPES.join(', ')}`);
+    }
+    if (GTIN_LENGTHS[type] && (!/^\d+$/.test(code) || code.length !== GTIN_LENGTHS[type] || !hasValidCheckDigit(code))) {
+      throw codedError('VALIDATION_ERROR', `Barcode "${code}" is not a valid ${type.toUpperCase()} code`);
+    }
+
+    const unit = barcode.unit ? findUnit(product, barcode.unit) : null;
+    if (barcode.unit && !unit) {
+      throw codedError('VALIDATION_ERROR', `Barcode "${code}": unit "${barcode.unit}" is not defined for the product`);
+    }
+
+    return {
+      code,
+      type,
+      unit: unit ? unit.name : null,
+      supplierId: barcode.supplierId || null,
+    };
+  });
+
+  const lookupCodes = [...(sku ? [normalizeCode(sku)] : []), ...barcodes.map((barcode) => barcode.code)];
+  if (new Set(lookupCodes).size !== lookupCodes.length) {
+    throw codedError('VALIDATION_ERROR', 'SKU and barcodes must all be different');
+  }
+
+  return { sku, barcodes, lookupCodes };
+};
+
+// Firestore takes at most 10 values in an array-contains-any query
+const CODE_QUERY_SIZE = 10;
+
+// Refuse codes another product already carries
+const checkCodesAvailable = async (lookupCodes, productId = null) => {
+  for (let i = 0; i < lookupCodes.length; i += CODE_QUERY_SIZE) {
+    const chunk = lookupCodes.slice(i, i + CODE_QUERY_SIZE);
+    const snapshot = await collection.where('lookupCodes', 'array-contains-any', chunk).get();
+    const duplicate = snapshot.docs.find((doc) => doc.id !== productId);
+
+    if (duplicate) {
+      const taken = chunk.filter((code) => (duplicate.data().lookupCodes || []).includes(code));
+      throw codedError('DUPLICATE_CODE', `Code ${taken.join(', ')} is already used by product ${duplicate.data().name} (${duplicate.id})`);
+    }
+  }
+};
+
+// What a scanned or typed code stands for: the product, whether it matched
+// the SKU, a barcode or the product ID, and the unit the code counts in
+const describeMatch = (id, product, code) => {
+  const barcode = (product.barcodes || []).find((b) => b.code === code) || null;
+  const matchedBy = barcode ? 'barcode' : product.sku && normalizeCode(product.sku) === code ? 'sku' : 'id';
+
+  return {
+    product: { id, ...product },
+    matchedBy,
+    barcode,
+    unit: (barcode && barcode.unit) || product.unit || 'unit',
+  };
+};
+
+// Scanned codes can contain "/", which no document ID does
+const canBeProductId = (code) => !String(code).includes('/');
+
+// A product ID sent in a request; anything else would not name a product document
+exports.isProductId = (id) => typeof id === 'string' && id !== '' && canBeProductId(id);
+
+exports.findProductByCode = async (code) => {
+  const normalized = code !== undefined && code !== null ? normalizeCode(code) : '';
+  if (!normalized) throw codedError('VALIDATION_ERROR', 'A code is required');
+
+  const snapshot = await collection.where('lookupCodes', 'array-contains', normalized).limit(1).get();
+  if (!snapshot.empty) {
+    return describeMatch(snapshot.docs[0].id, snapshot.docs[0].data(), normalized);
+  }
+
+  // Older labels carry the product ID
+  if (canBeProductId(code)) {
+    const doc = await collection.doc(String(code).trim()).get();
+    if (doc.exists) return describeMatch(doc.id, doc.data(), normalized);
+  }
+
+  throw codedError('PRODUCT_NOT_FOUND', 'Product not found');
+};
+
+// Same lookup inside a transaction; null when nothing matches
+exports.findProductByCodeInTransaction = async (transaction, code) => {
+  const normalized = normalizeCode(code);
+  const snapshot = await transaction.get(collection.where('lookupCodes', 'array-contains', normalized).limit(1));
+  if (!snapshot.empty) {
+    return describeMatch(snapshot.docs[0].id, snapshot.docs[0].data(), normalized);
+  }
+
+  if (!canBeProductId(code)) return null;
+  const doc = await transaction.get(collection.doc(String(code).trim()));
+  return doc.exists ? describeMatch(doc.id, doc.data(), normalized) : null;
+};
+
+exports.getUnitNames = (product) => [product.unit || 'unit', ...(product.units || []).map((u) => u.name)];
+
+// Current stock of a product. Older documents only carry `quantity`, newer ones `q`
+const getStockLevel = (product) => Number(product.q ?? product.quantity ?? 0);
+exports.getStockLevel = getStockLevel;
+
+const STOCK_STATUS_RANK = { ok: 0, low: 1, critical: 2 };
+
+// Grade a product's stock against its levels: critical at or below the minimum
+// level (or when empty), low at or below the reorder point, ok otherwise
+const getStockStatus = (product, stock = getStockLevel(product)) => {
+  if (stock <= 0) return 'critical';
+  if (product.minLevel != null && stock <= product.minLevel) return 'critical';
+  if (product.reorderPoint != null && stock <= product.reorderPoint) return 'low';
+  return 'ok';
+};
+exports.getStockStatus = getStockStatus;
+
+// Quantity to order to get back to the target level (or the reorder point)
+const getSuggestedOrderQuantity = (product, stock = getStockLevel(product)) => {
+  const target = product.targetLevel ?? product.reorderPoint ?? product.minLevel ?? 0;
+  return Math.max(0, target - stock);
+};
+exports.getSuggestedOrderQuantity = getSuggestedOrderQuantity;
+
+// Pick and check minLevel / reorderPoint / targetLevel from create or update data
+const parseStockLevels = (data, current = {}) => {
+  const levels = {};
+
+  ['minLevel', 'reorderPoint', 'targetLevel'].forEach((field) => {
+    if (data[field] === undefined) return;
+    if (data[field] === null) {
+      levels[field] = null;
+      return;
+    }
+
+    const value = Number(data[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw codedError('VALIDATION_ERROR', `${field} must be a positive number`);
+    }
+    levels[field] = value;
+  });
+
+  const merged = { ...current, ...levels };
+  if (merged.minLevel != null && merged.reorderPoint != null && merged.minLevel > merged.reorderPoint) {
+    throw codedError('VALIDATION_ERROR', 'minLevel cannot be above reorderPoint');
+  }
+  if (merged.reorderPoint != null && merged.targetLevel != null && merged.reorderPoint > merged.targetLevel) {
+    throw codedError('VALIDATION_ERROR', 'reorderPoint cannot be above targetLevel');
+  }
+
+  return levels;
+};
+
+const toDateValue = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Lots with the same number and expiry day are merged
+const sameLot = (a, b) => {
+  const dayOf = (lot) => (lot.expiryDate ? toDateValue(lot.expiryDate).toISOString().slice(0, 10) : null);
+  return (a.lotNumber || null) === (b.lotNumber || null) && (!b.expiryDate || dayOf(a) === dayOf(b));
+};
+
+// First-expired-first-out order; lots without an expiry date come last
+const byExpiry = (a, b) => {
+  const aTime = a.expiryDate ? toDateValue(a.expiryDate).getTime() : Infinity;
+  const bTime = b.expiryDate ? toDateValue(b.expiryDate).getTime() : Infinity;
+  return aTime === bTime ? 0 : aTime < bTime ? -1 : 1;
+};
+
+// Lots are kept where their stock is, by location ID like locationStock:
+// null (and lots from before locations were tracked) is the default location
+const lotAt = (locationId) => (lot) => (lot.locationId || null) === (locationId || null);
+
+// Add received lots to a product's lots at a location
+const addLots = (lots, received, locationId = null) => {
+  const updated = lots.map((lot) => ({ ...lot }));
+  const added = [];
+
+  received.forEach((lot) => {
+    const quantity = Number(lot.quantity) || 0;
+    if (quantity <= 0) return;
+
+    const existing = updated.find((l) => lotAt(locationId)(l) && sameLot(l, lot));
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      updated.push({
+        lotNumber: lot.lotNumber || null,
+        expiryDate: lot.expiryDate ? toDateValue(lot.expiryDate) : null,
+        quantity,
+        locationId: locationId || null,
+        receivedAt: new Date()
       });
-      
-      results.push({
-        productId: product.productId,
-        productName: currentProduct.name,
-        oldQuantity: currentQuantity,
-        quantityRemoved: product.quantityToRemove,
-        newQuantity: newQuantity,
-        success: true
+    }
+    added.push({
+      lotNumber: lot.lotNumber || null,
+      expiryDate: lot.expiryDate ? toDateValue(lot.expiryDate) : null,
+      quantity
+    });
+  });
+
+  return { lots: updated, moved: added };
+};
+
+// Take `quantity` out of a product's lots at a location: from the requested
+// lots first, then first-expired-first-out. Stock not covered by any lot
+// (received before lots were tracked) is used last.
+const consumeLots = (lots, quantity, requested = [], locationId = null) => {
+  const updated = lots.map((lot) => ({ ...lot }));
+  const consumed = [];
+  let left = quantity;
+
+  const take = (lot, amount) => {
+    lot.quantity -= amount;
+    left -= amount;
+
+    const entry = consumed.find((c) => sameLot(c, lot));
+    if (entry) {
+      entry.quantity += amount;
+    } else {
+      consumed.push({ lotNumber: lot.lotNumber || null, expiryDate: lot.expiryDate || null, quantity: amount });
+    }
+  };
+
+  for (const wanted of requested) {
+    const amount = Number(wanted.quantity) || 0;
+    const lot = updated.find((l) => lotAt(locationId)(l) && sameLot(l, wanted));
+
+    if (!lot) {
+      return { error: `Lot ${wanted.lotNumber} not found` };
+    }
+    if (amount <= 0 || amount > lot.quantity || amount > left) {
+      return { error: `Lot ${wanted.lotNumber}: cannot take ${amount}, available ${lot.quantity}` };
+    }
+    take(lot, amount);
+  }
+
+  updated.filter(lotAt(locationId)).sort(byExpiry).forEach((lot) => {
+    if (left <= 0 || lot.quantity <= 0) return;
+    take(lot, Math.min(lot.quantity, left));
+  });
+
+  return { lots: updated.filter((lot) => lot.quantity > 0), moved: consumed };
+};
+
+// Move the lots of a transfer ({ fromLocationId, toLocationId, quantity })
+// along with its stock, chosen ones first, then first-expired-first-out
+const transferLots = (lots, transfer, requested = []) => {
+  const taken = consumeLots(lots, Number(transfer.quantity) || 0, requested, transfer.fromLocationId);
+  if (taken.error) return taken;
+
+  return { lots: addLots(taken.lots, taken.moved, transfer.toLocationId).lots, moved: taken.moved };
+};
+
+// Stock per location. `locationStock` holds the quantity at each location
+// other than the default one; the default location holds whatever is left of
+// the product's total, so stock from before locations existed stays there.
+const getLocationStock = (product) => ({ ...(product.locationStock || {}) });
+exports.getLocationStock = getLocationStock;
+
+const getDefaultLocationQuantity = (quantity, locationStock) =>
+  Math.round((quantity - Object.values(locationStock).reduce((sum, q) => sum + Number(q || 0), 0)) * 1000000) / 1000000;
+exports.getDefaultLocationQuantity = getDefaultLocationQuantity;
+
+// Quantity at a location; no locationId is the default location
+const quantityAtLocation = (entry, locationId) =>
+  locationId ? Number(entry.locationStock[locationId] || 0) : getDefaultLocationQuantity(entry.quantity, entry.locationStock);
+
+const setLocationQuantity = (entry, locationId, quantity) => {
+  if (!locationId) return; // The default location is implicit
+  const rounded = Math.round(quantity * 1000000) / 1000000;
+  if (rounded === 0) delete entry.locationStock[locationId];
+  else entry.locationStock[locationId] = rounded;
+  entry.locationsChanged = true;
+};
+
+// Location side of a change: `locationId` (or the default location) for
+// changes of the total, `transfer` for stock moving between two locations.
+// Returns the location that is short, if any.
+const moveLocationStock = (entry, change, delta) => {
+  if (change.transfer) {
+    const { fromLocationId, toLocationId } = change.transfer;
+    const quantity = Number(change.transfer.quantity) || 0;
+    const available = quantityAtLocation(entry, fromLocationId);
+
+    if (available < quantity) {
+      return { available, requested: quantity, location: change.transfer.fromLocationName };
+    }
+    setLocationQuantity(entry, fromLocationId, available - quantity);
+    setLocationQuantity(entry, toLocationId, quantityAtLocation(entry, toLocationId) + quantity);
+    return null;
+  }
+
+  const available = quantityAtLocation(entry, change.locationId);
+  if (delta < 0 && available + delta < 0) {
+    return { available, requested: -delta, location: change.locationName };
+  }
+  if (delta !== 0) setLocationQuantity(entry, change.locationId, available + delta);
+  return null;
+};
+
+// Weighted average unit cost after receiving (or, for a negative quantity,
+// taking back) `quantity` units at `unitCost`
+const blendAverageCost = (stock, averageCost, quantity, unitCost) => {
+  const newStock = stock + quantity;
+  if (newStock <= 0) {
+    return quantity > 0 ? unitCost : averageCost;
+  }
+
+  const value = stock * averageCost + quantity * unitCost;
+  return Math.max(0, Math.round((value / newStock) * 10000) / 10000);
+};
+
+// Weighted average unit cost after `quantity` units already received at
+// `fromCost` are valued again at `toCost` (a corrected purchase price)
+const revalueAverageCost = (stock, averageCost, quantity, fromCost, toCost) => {
+  if (stock <= 0) {
+    return averageCost;
+  }
+
+  const value = stock * averageCost + quantity * (toCost - fromCost);
+  return Math.max(0, Math.round((value / stock) * 10000) / 10000);
+};
+
+// Apply signed quantity changes ({ productId, delta, lots?, unitCost? }) to products.
+// All product reads happen before any write, so this can run inside a caller's
+// transaction after the caller's own reads. Without a transaction it runs in its own.
+// Lines that fail (missing product, insufficient stock) are reported and not applied.
+// `lots` are the lots received for a positive delta, or the lots to take from
+// for a negative one or a transfer (otherwise first-expired-first-out), at
+// the change's location.
+// `unitCost` is given for receipts (and for undoing them) and moves the
+// product's weighted average cost; every other change is valued at that cost.
+// `revalue` ({ quantity, fromCost, toCost }) re-values units already received
+// when a receipt's price is corrected.
+const applyQuantityChanges = async (changes, transaction = null) => {
+  if (!transaction) {
+    return db.runTransaction((t) => applyQuantityChanges(changes, t));
+  }
+
+  const productIds = [...new Set(changes.map((change) => change.productId))];
+  const docs = productIds.length > 0
+    ? await transaction.getAll(...productIds.map((id) => collection.doc(id)))
+    : [];
+
+  const stock = new Map();
+  docs.forEach((doc) => {
+    if (doc.exists) {
+      stock.set(doc.id, {
+        ref: doc.ref,
+        data: doc.data(),
+        quantity: getStockLevel(doc.data()),
+        lots: doc.data().lots || [],
+        lotsChanged: false,
+        locationStock: getLocationStock(doc.data()),
+        locationsChanged: false,
+        averageCost: Number(doc.data().averageCost) || 0,
+        costChanged: false,
+        touched: false
       });
-      
-    } catch (error) {
-      results.push({
-        productId: product.productId,
+    }
+  });
+
+  const results = changes.map((change) => {
+    const entry = stock.get(change.productId);
+
+    if (!entry) {
+      return {
+        productId: change.productId,
+        success: false,
+        reason: 'PRODUCT_NOT_FOUND',
+        error: 'Product not found'
+      };
+    }
+
+    const delta = Number(change.delta) || 0;
+    const oldQuantity = entry.quantity;
+    const newQuantity = oldQuantity + delta;
+
+    if (newQuantity < 0) {
+      return {
+        productId: change.productId,
+        productName: entry.data.name,
+        success: false,
+        reason: 'INSUFFICIENT_STOCK',
+        available: oldQuantity,
+        requested: -delta,
+        error: `Insufficient stock. Available: ${oldQuantity}, Requested to remove: ${-delta}`
+      };
+    }
+
+    // Stock has to be available where it is taken from
+    const locationsBefore = { ...entry.locationStock };
+    const locationsChangedBefore = entry.locationsChanged;
+    const locationShortage = moveLocationStock(entry, change, delta);
+    if (locationShortage) {
+      return {
+        productId: change.productId,
+        productName: entry.data.name,
+        success: false,
+        reason: 'INSUFFICIENT_STOCK',
+        location: locationShortage.location || null,
+        available: locationShortage.available,
+        requested: locationShortage.requested,
+        error: `Insufficient stock at ${locationShortage.location || 'the location'}. Available: ${locationShortage.available}, Requested to remove: ${locationShortage.requested}`
+      };
+    }
+
+    const hasLots = entry.lots.length > 0 || (change.lots || []).length > 0;
+    let lotResult = { lots: entry.lots, moved: [] };
+    if (change.transfer) {
+      if (hasLots) lotResult = transferLots(entry.lots, change.transfer, change.lots || []);
+    } else if (delta > 0 && Array.isArray(change.lots) && change.lots.length > 0) {
+      lotResult = addLots(entry.lots, change.lots, change.locationId);
+    } else if (delta < 0 && hasLots) {
+      lotResult = consumeLots(entry.lots, -delta, change.lots || [], change.locationId);
+    }
+
+    if (lotResult.error) {
+      entry.locationStock = locationsBefore;
+      entry.locationsChanged = locationsChangedBefore;
+      return {
+        productId: change.productId,
+        productName: entry.data.name,
         success: false,
-        error: error.message
+        reason: 'LOT_UNAVAILABLE',
+        error: lotResult.error
+      };
+    }
+
+    const costBefore = entry.averageCost;
+    const hasUnitCost = change.unitCost !== undefined && change.unitCost !== null;
+    if (hasUnitCost && delta !== 0) {
+      entry.averageCost = blendAverageCost(oldQuantity, costBefore, delta, Number(change.unitCost));
+      entry.costChanged = entry.costChanged || entry.averageCost !== costBefore;
+    }
+    if (change.revalue) {
+      const { quantity, fromCost, toCost } = change.revalue;
+      entry.averageCost = revalueAverageCost(newQuantity, entry.averageCost, quantity, fromCost, toCost);
+      entry.costChanged = entry.costChanged || entry.averageCost !== costBefore;
+    }
+
+    entry.quantity = newQuantity;
+    entry.touched = entry.touched || delta !== 0 || entry.locationsChanged || entry.costChanged;
+    if (lotResult.lots !== entry.lots) {
+      entry.lots = lotResult.lots;
+      entry.lotsChanged = true;
+    }
+
+    return {
+      productId: change.productId,
+      productName: entry.data.name,
+      unit: entry.data.unit || 'unit',
+      product: entry.data,
+      oldQuantity,
+      delta,
+      newQuantity,
+      lots: lotResult.moved,
+      locationId: change.transfer ? undefined : change.locationId || null,
+      // Cost this change is valued at and the average it leaves behind
+      unitCost: hasUnitCost ? Number(change.unitCost) : costBefore,
+      averageCost: entry.averageCost,
+      success: true
+    };
+  });
+
+  // Raise an alert when the changes push a product into a worse stock status
+  const alerts = new Map();
+  stock.forEach((entry, productId) => {
+    if (!entry.touched) return;
+
+    const before = getStockStatus(entry.data);
+    const after = getStockStatus(entry.data, entry.quantity);
+
+    if (STOCK_STATUS_RANK[after] > STOCK_STATUS_RANK[before]) {
+      alerts.set(productId, StockAlertModel.stageAlert(transaction, {
+        productId,
+        productName: entry.data.name,
+        unit: entry.data.unit || 'unit',
+        level: after,
+        previousStock: getStockLevel(entry.data),
+        stock: entry.quantity,
+        minLevel: entry.data.minLevel ?? null,
+        reorderPoint: entry.data.reorderPoint ?? null,
+        targetLevel: entry.data.targetLevel ?? null,
+        suggestedOrderQuantity: getSuggestedOrderQuantity(entry.data, entry.quantity)
+      }));
+    }
+  });
+
+  // Report each alert once, on the product's last successful change
+  [...results].reverse().forEach((result) => {
+    if (result.success && alerts.has(result.productId)) {
+      result.alert = alerts.get(result.productId);
+      alerts.delete(result.productId);
+    }
+  });
+
+  stock.forEach((entry) => {
+    if (entry.touched) {
+      transaction.update(entry.ref, {
+        q: entry.quantity,
+        quantity: entry.quantity, // Keep both fields in sync
+        ...(entry.lotsChanged ? { lots: entry.lots } : {}),
+        ...(entry.costChanged ? { averageCost: entry.averageCost } : {}),
+        ...(entry.locationsChanged ? { locationStock: entry.locationStock } : {}),
+        updatedAt: new Date()
       });
     }
-  }
-  
-  await batch.commit();
+  });
+
   return results;
-};
\ No newline at end of file
+};
+exports.applyQuantityChanges = applyQuantityChanges;
+
+exports.addQuantitiesToProducts = async (products, transaction = null) => {
+  const results = await applyQuantityChanges(
+    products.map((product) => ({
+      productId: product.productId,
+      delta: Number(product.quantityToAdd) || 0
+    })),
+    transaction
+  );
+
+  return results.map(({ delta, product, lots, alert, unitCost, ...result }) =>
+    result.success ? { ...result, quantityAdded: delta } : result
+  );
+};
+
+exports.removeQuantitiesFromProducts = async (products, transaction = null) => {
+  const results = await applyQuantityChanges(
+    products.map((product) => ({
+      productId: product.productId,
+      delta: -(Number(product.quantityToRemove) || 0)
+    })),
+    transaction
+  );
+
+  return results.map(({ delta, product, lots, alert, unitCost, ...result }) =>
+    result.success ? { ...result, quantityRemoved: -delta } : result
+  );
+};
+
+// Lots of one product, first-expired-first-out
+exports.getProductLots = async (productId) => {
+  const product = await exports.getProductById(productId);
+  const lots = (product.lots || [])
+    .map((lot) => ({ ...lot, expiryDate: toDateValue(lot.expiryDate), receivedAt: toDateValue(lot.receivedAt) }))
+    .sort(byExpiry);
+  const lotted = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+  return {
+    productId,
+    productName: product.name,
+    unit: product.unit || 'unit',
+    stock: getStockLevel(product),
+    untrackedQuantity: Math.max(0, getStockLevel(product) - lotted),
+    lots
+  };
+};
+
+// Location a lot is at; lots without one are at the default location
+const lotLocation = (lot, locations, defaultLocation) => {
+  const location = lot.locationId ? locations.get(lot.locationId) : defaultLocation;
+  return {
+    locationId: location ? location.id : lot.locationId || null,
+    locationName: location ? location.name : null
+  };
+};
+
+// Lots expiring within `days` days (already expired ones included), soonest first
+exports.getExpiringLots = async (days = 7) => {
+  const now = new Date();
+  const limit = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const [snapshot, locationsSnapshot] = await Promise.all([
+    collection.get(),
+    db.collection('stockLocations').get()
+  ]);
+  const locations = new Map(locationsSnapshot.docs.map((doc) => [doc.id, { id: doc.id, ...doc.data() }]));
+  const defaultLocation = [...locations.values()].find((location) => location.isDefault) || null;
+  const expiring = [];
+
+  snapshot.forEach((doc) => {
+    const product = doc.data();
+    (product.lots || []).forEach((lot) => {
+      const expiryDate = toDateValue(lot.expiryDate);
+      if (!expiryDate || expiryDate > limit || lot.quantity <= 0) return;
+
+      expiring.push({
+        productId: doc.id,
+        productName: product.name,
+        unit: product.unit || 'unit',
+        lotNumber: lot.lotNumber || null,
+        expiryDate,
+        quantity: lot.quantity,
+        ...lotLocation(lot, locations, defaultLocation),
+        daysToExpiry: Math.ceil((expiryDate - now) / (24 * 60 * 60 * 1000)),
+        expired: expiryDate < now
+      });
+    });
+  });
+
+  return expiring.sort(byExpiry);
+};
+
+// Value of stock on hand at weighted average cost, per product and per
+// primary category
+exports.getInventoryValuation = async () => {
+  const products = await exports.getAllProducts();
+
+  const lines = products
+    .map((product) => {
+      const stock = getStockLevel(product);
+      const averageCost = Number(product.averageCost) || 0;
+      return {
+        productId: product.id,
+        productName: product.name,
+        unit: product.unit || 'unit',
+        category: product.primaryCategory || (product.categories || [])[0] || 'uncategorized',
+        stock,
+        averageCost,
+        value: TaxModel.roundMoney(stock * averageCost)
+      };
+    })
+    .sort((a, b) => b.value - a.value);
+
+  const categories = new Map();
+  lines.forEach((line) => {
+    const entry = categories.get(line.category) || { category: line.category, productCount: 0, value: 0 };
+    entry.productCount++;
+    entry.value = TaxModel.roundMoney(entry.value + line.value);
+    categories.set(line.category, entry);
+  });
+
+  return {
+    totalValue: TaxModel.roundMoney(lines.reduce((sum, line) => sum + line.value, 0)),
+    productCount: lines.length,
+    // Products in stock whose cost was never recorded by a receipt
+    unvaluedProducts: lines.filter((line) => line.stock > 0 && line.averageCost === 0).map((line) => line.productId),
+    byCategory: Array.from(categories.values()).sort((a, b) => b.value - a.value),
+    byProduct: lines
+  };
+};
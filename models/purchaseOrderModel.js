@@ -0,0 +1,432 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("purchaseOrders");
+const SupplierModel = require("../models/supplierModel");
+const ProductModel = require("../models/productModel");
+const movementModel = require("../models/movementModel");
+const { codedError } = require("../utils/errors");
+const { roundMoney } = require("../models/taxModel");
+const CounterModel = require("../models/counterModel");
+
+// draft → sent → partially_received → received, or cancelled before that
+const PURCHASE_ORDER_STATUSES = ["draft", "sent", "partially_received", "received", "cancelled"];
+exports.PURCHASE_ORDER_STATUSES = PURCHASE_ORDER_STATUSES;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toPurchaseOrder = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    expectedDate: toDate(data.expectedDate),
+    sentAt: toDate(data.sentAt),
+    receivedAt: toDate(data.receivedAt),
+    cancelledAt: toDate(data.cancelledAt),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+const orderTotals = (lines) => ({
+  totalOrderedValue: roundMoney(lines.reduce((sum, l) => sum + l.orderedQuantity * l.unitPrice, 0)),
+  totalReceivedValue: roundMoney(lines.reduce((sum, l) => sum + (l.receivedValue || 0), 0)),
+  totalOutstanding: lines.reduce((sum, l) => sum + l.outstandingQuantity, 0),
+});
+
+// Lines are ordered in any unit the product defines (a given price is per that
+// unit) and kept in its base unit, like stock; the ordered unit stays on the line
+const unitLineFields = (quantity, unit) =>
+  unit.factor !== 1 ? { enteredQuantity: quantity, enteredUnit: unit.name, conversionFactor: unit.factor } : {};
+
+// Check the ordered lines against the product catalogue and price them at the
+// given price, else the supplier's usual price, else the product's average cost
+const buildOrderLines = async (products, supplier) => {
+  if (!Array.isArray(products) || products.length === 0) {
+    throw codedError("VALIDATION_ERROR", "Products must be a non-empty array");
+  }
+
+  const invalid = products
+    .filter((p) =>
+      !ProductModel.isProductId(p.productId) ||
+      typeof p.quantity !== "number" || p.quantity <= 0 ||
+      (p.price !== undefined && !(Number(p.price) >= 0))
+    )
+    .map((p) => `Invalid order line: ${JSON.stringify(p)}`);
+
+  const productIds = products.map((p) => p.productId);
+  if (new Set(productIds).size !== productIds.length) {
+    invalid.push("Each product can only appear once on an order");
+  }
+
+  if (invalid.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${invalid.join(", ")}`, invalid);
+  }
+
+  const docs = await db.getAll(...productIds.map((id) => db.collection("products").doc(id)));
+  const missing = docs.filter((doc) => !doc.exists).map((doc) => doc.id);
+  if (missing.length > 0) {
+    throw codedError("PRODUCT_NOT_FOUND", `Products not found: ${missing.join(", ")}`);
+  }
+
+  const errors = [];
+  const lines = products.map((p, index) => {
+    const product = docs[index].data();
+    const unit = ProductModel.findUnit(product, p.unit);
+    if (!unit) {
+      errors.push(
+        `${product.name}: unit "${p.unit}" is not defined (${ProductModel.getUnitNames(product).join(", ")})`
+      );
+      return null;
+    }
+
+    const orderedQuantity = movementModel.roundQuantity(p.quantity * unit.factor);
+    const unitPrice = p.price !== undefined
+      ? Number(p.price) / unit.factor
+      : Number(SupplierModel.getUsualPrice(supplier, p.productId, product) ?? product.averageCost ?? 0);
+
+    return {
+      productId: p.productId,
+      productName: product.name,
+      unit: product.unit || "unit",
+      orderedQuantity,
+      ...unitLineFields(p.quantity, unit),
+      unitPrice,
+      total: roundMoney(unitPrice * orderedQuantity),
+      receivedQuantity: 0,
+      outstandingQuantity: orderedQuantity,
+      receivedValue: 0,
+    };
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  return lines;
+};
+
+const getActiveSupplier = async (supplierId) => {
+  if (!supplierId) {
+    throw codedError("VALIDATION_ERROR", "supplierId is required");
+  }
+
+  const supplier = await SupplierModel.getSupplierById(supplierId);
+  if (supplier.isActive === false) {
+    throw codedError("VALIDATION_ERROR", `Supplier ${supplier.name} is no longer active`);
+  }
+
+  return supplier;
+};
+
+exports.createPurchaseOrder = async (data) => {
+  if (!data.createdBy || !data.createdBy.trim()) {
+    throw codedError("VALIDATION_ERROR", "createdBy is required");
+  }
+
+  const supplier = await getActiveSupplier(data.supplierId);
+  const lines = await buildOrderLines(data.products, supplier);
+
+  const purchaseOrderId = await CounterModel.nextId("purchaseOrders", "PO", 4);
+  const now = new Date();
+
+  const order = {
+    id: purchaseOrderId,
+    supplierId: supplier.id,
+    supplier: supplier.name,
+    status: "draft",
+    products: lines,
+    ...orderTotals(lines),
+    expectedDate: data.expectedDate ? new Date(data.expectedDate) : null,
+    notes: data.notes || "",
+    createdBy: data.createdBy.trim(),
+    receipts: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await collection.doc(purchaseOrderId).set(order);
+  return order;
+};
+
+exports.getAllPurchaseOrders = async (filters = {}) => {
+  let query = collection;
+
+  if (filters.status && filters.status !== "all") {
+    query = query.where("status", "==", filters.status);
+  }
+
+  if (filters.supplierId) {
+    query = query.where("supplierId", "==", filters.supplierId);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(toPurchaseOrder)
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+exports.getPurchaseOrderById = async (id) => {
+  const doc = await collection.doc(id).get();
+
+  if (!doc.exists) {
+    throw codedError("PURCHASE_ORDER_NOT_FOUND", "Purchase order not found");
+  }
+
+  return toPurchaseOrder(doc);
+};
+
+// Only drafts can be changed; once sent the order is what the supplier has
+exports.updatePurchaseOrder = async (id, data) => {
+  const order = await exports.getPurchaseOrderById(id);
+
+  if (order.status !== "draft") {
+    throw codedError("INVALID_STATUS", `Purchase order is ${order.status}, only drafts can be edited`);
+  }
+
+  const updates = { updatedAt: new Date() };
+
+  let supplier = null;
+  if (data.supplierId !== undefined && data.supplierId !== order.supplierId) {
+    supplier = await getActiveSupplier(data.supplierId);
+    updates.supplierId = supplier.id;
+    updates.supplier = supplier.name;
+  }
+
+  if (data.products !== undefined) {
+    const lines = await buildOrderLines(
+      data.products,
+      supplier || (await SupplierModel.getSupplierById(order.supplierId))
+    );
+    updates.products = lines;
+    Object.assign(updates, orderTotals(lines));
+  }
+
+  if (data.expectedDate !== undefined) {
+    updates.expectedDate = data.expectedDate ? new Date(data.expectedDate) : null;
+  }
+
+  if (data.notes !== undefined) {
+    updates.notes = data.notes;
+  }
+
+  await collection.doc(id).update(updates);
+
+  return {
+    message: "Purchase order updated successfully",
+    updatedFields: Object.keys(updates).filter((key) => key !== "updatedAt"),
+  };
+};
+
+exports.sendPurchaseOrder = async (id, data = {}) => {
+  const order = await exports.getPurchaseOrderById(id);
+
+  if (order.status !== "draft") {
+    throw codedError("INVALID_STATUS", `Purchase order is already ${order.status}`);
+  }
+
+  const now = new Date();
+  await collection.doc(id).update({
+    status: "sent",
+    sentBy: data.sentBy || order.createdBy,
+    sentAt: now,
+    updatedAt: now,
+  });
+
+  return { purchaseOrderId: id, status: "sent" };
+};
+
+// Receive (part of) a sent order: posts a stock_in movement for the delivered
+// quantities and records outstanding quantities and price differences.
+// Received quantities and prices are in the unit the line was ordered in,
+// unless the received line gives another unit of the product.
+exports.receivePurchaseOrder = async (id, data) => {
+  if (!data.stockManager || !data.stockManager.trim()) {
+    throw codedError("VALIDATION_ERROR", "Stock manager is required");
+  }
+
+  if (!Array.isArray(data.products) || data.products.length === 0) {
+    throw codedError("VALIDATION_ERROR", "Products must be a non-empty array");
+  }
+
+  const invalid = data.products
+    .filter((p) =>
+      !ProductModel.isProductId(p.productId) ||
+      typeof p.quantity !== "number" || p.quantity <= 0 ||
+      (p.price !== undefined && !(Number(p.price) >= 0))
+    )
+    .map((p) => `Invalid received line: ${JSON.stringify(p)}`);
+
+  if (invalid.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${invalid.join(", ")}`, invalid);
+  }
+
+  const orderRef = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+
+    if (!orderDoc.exists) {
+      throw codedError("PURCHASE_ORDER_NOT_FOUND", "Purchase order not found");
+    }
+
+    const order = orderDoc.data();
+    if (order.status !== "sent" && order.status !== "partially_received") {
+      throw codedError(
+        "INVALID_STATUS",
+        order.status === "draft"
+          ? "Purchase order has to be sent before it can be received"
+          : `Purchase order is already ${order.status}`
+      );
+    }
+
+    const lines = order.products.map((line) => ({ ...line }));
+    const linesById = new Map(lines.map((line) => [line.productId, line]));
+
+    // Products are only needed for lines received in a unit of their own
+    const unitProductIds = [...new Set(
+      data.products.filter((p) => p.unit !== undefined && linesById.has(p.productId)).map((p) => p.productId)
+    )];
+    const productDocs = unitProductIds.length > 0
+      ? await transaction.getAll(...unitProductIds.map((productId) => db.collection("products").doc(productId)))
+      : [];
+    const products = new Map(productDocs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+
+    const received = new Map();
+    const errors = [];
+    const units = data.products.map((p) => {
+      const line = linesById.get(p.productId);
+      if (!line) {
+        errors.push(`Product ${p.productId} is not on purchase order ${id}`);
+        return null;
+      }
+
+      const unit = p.unit === undefined
+        ? { name: line.enteredUnit || line.unit, factor: line.conversionFactor || 1 }
+        : products.has(p.productId) ? ProductModel.findUnit(products.get(p.productId), p.unit) : null;
+      if (!unit) {
+        errors.push(`${line.productName}: unit "${p.unit}" is not defined`);
+        return null;
+      }
+
+      const quantity = movementModel.roundQuantity((received.get(p.productId) || 0) + p.quantity * unit.factor);
+      if (quantity > line.outstandingQuantity) {
+        errors.push(`${line.productName}: receiving ${quantity} but only ${line.outstandingQuantity} outstanding`);
+      }
+      received.set(p.productId, quantity);
+      return unit;
+    });
+
+    if (errors.length > 0) {
+      throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+    }
+
+    // Delivered lines are valued at the invoiced price, else the ordered one
+    const receiptLines = data.products.map((p, index) => {
+      const line = linesById.get(p.productId);
+      const unit = units[index];
+      const receivedPrice = p.price !== undefined ? Number(p.price) / unit.factor : line.unitPrice;
+      const quantity = movementModel.roundQuantity(p.quantity * unit.factor);
+
+      return {
+        productId: p.productId,
+        productName: line.productName,
+        quantity,
+        ...unitLineFields(p.quantity, unit),
+        orderedPrice: line.unitPrice,
+        receivedPrice,
+        priceDifference: roundMoney(receivedPrice - line.unitPrice),
+        valueDifference: roundMoney((receivedPrice - line.unitPrice) * quantity),
+      };
+    });
+
+    const { movement, alerts } = await movementModel.createStockMovementInTransaction(
+      transaction,
+      {
+        type: "stock_in",
+        supplierId: order.supplierId,
+        locationId: data.locationId,
+        stockManager: data.stockManager,
+        notes: data.notes || `Purchase order ${id}`,
+        products: data.products.map((p, index) => ({
+          productId: p.productId,
+          quantity: p.quantity,
+          ...(units[index].factor !== 1 ? { unit: units[index].name } : {}),
+          price: p.price !== undefined ? Number(p.price) : receiptLines[index].receivedPrice * units[index].factor,
+          ...(p.lotNumber ? { lotNumber: p.lotNumber } : {}),
+          ...(p.expiryDate ? { expiryDate: p.expiryDate } : {}),
+        })),
+      },
+      { purchaseOrderId: id }
+    );
+
+    receiptLines.forEach((receipt) => {
+      const line = linesById.get(receipt.productId);
+      line.receivedQuantity = movementModel.roundQuantity(line.receivedQuantity + receipt.quantity);
+      line.outstandingQuantity = movementModel.roundQuantity(line.orderedQuantity - line.receivedQuantity);
+      line.receivedValue = roundMoney((line.receivedValue || 0) + receipt.receivedPrice * receipt.quantity);
+      line.priceDifference = roundMoney(
+        line.receivedValue - line.receivedQuantity * line.unitPrice
+      );
+    });
+
+    const now = new Date();
+    const fullyReceived = lines.every((line) => line.outstandingQuantity === 0);
+    const receipt = {
+      movementId: movement.movementId,
+      receivedBy: data.stockManager.trim(),
+      receivedAt: now,
+      lines: receiptLines,
+      totalValue: movement.totalValue,
+      priceDifference: roundMoney(receiptLines.reduce((sum, l) => sum + l.valueDifference, 0)),
+    };
+
+    const updates = {
+      status: fullyReceived ? "received" : "partially_received",
+      products: lines,
+      ...orderTotals(lines),
+      priceDifference: roundMoney(lines.reduce((sum, l) => sum + (l.priceDifference || 0), 0)),
+      receipts: [...(order.receipts || []), receipt],
+      updatedAt: now,
+      ...(fullyReceived ? { receivedAt: now } : {}),
+    };
+
+    transaction.update(orderRef, updates);
+
+    return {
+      purchaseOrderId: id,
+      status: updates.status,
+      movementId: movement.movementId,
+      receipt,
+      outstanding: lines
+        .filter((line) => line.outstandingQuantity > 0)
+        .map((line) => ({
+          productId: line.productId,
+          productName: line.productName,
+          outstandingQuantity: line.outstandingQuantity,
+        })),
+      alerts,
+    };
+  });
+};
+
+// Cancelling a partially received order closes what is still outstanding;
+// what was already received stays in stock
+exports.cancelPurchaseOrder = async (id, data = {}) => {
+  const order = await exports.getPurchaseOrderById(id);
+
+  if (order.status === "received" || order.status === "cancelled") {
+    throw codedError("INVALID_STATUS", `Purchase order is already ${order.status}`);
+  }
+
+  const now = new Date();
+  await collection.doc(id).update({
+    status: "cancelled",
+    cancelledBy: data.cancelledBy || null,
+    cancelReason: data.reason || "",
+    cancelledAt: now,
+    updatedAt: now,
+  });
+
+  return { purchaseOrderId: id, status: "cancelled", previousStatus: order.status };
+};
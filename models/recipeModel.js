@@ -0,0 +1,260 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("recipes");
+const ProductModel = require("../models/productModel");
+const movementModel = require("../models/movementModel");
+const { codedError } = require("../utils/errors");
+const { roundMoney } = require("../models/taxModel");
+const CounterModel = require("../models/counterModel");
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toRecipe = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+// IDs that cannot name a product document are left out and so read as missing
+const readProducts = async (productIds) => {
+  const ids = [...new Set(productIds)].filter(ProductModel.isProductId);
+  if (ids.length === 0) return new Map();
+
+  const docs = await db.getAll(...ids.map((id) => db.collection("products").doc(id)));
+  return new Map(docs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+};
+
+const parseYield = (value) => {
+  const yieldQuantity = Number(value);
+  if (!(yieldQuantity > 0)) {
+    throw codedError("VALIDATION_ERROR", "yieldQuantity must be a positive number");
+  }
+  return yieldQuantity;
+};
+
+// Ingredient quantities are for one batch of the recipe (yieldQuantity
+// portions) in any unit the product defines
+const parseIngredients = async (ingredients) => {
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    throw codedError("VALIDATION_ERROR", "Ingredients must be a non-empty array");
+  }
+
+  const products = await readProducts(ingredients.map((i) => i.productId).filter(Boolean));
+  const errors = [];
+
+  ingredients.forEach((ingredient, index) => {
+    const label = `Ingredient ${index + 1}`;
+    const product = products.get(ingredient.productId);
+
+    if (!ingredient.productId || typeof ingredient.quantity !== "number" || ingredient.quantity <= 0) {
+      errors.push(`${label}: productId and a positive quantity are required`);
+    } else if (!product) {
+      errors.push(`${label}: product not found: ${ingredient.productId}`);
+    } else if (!ProductModel.findUnit(product, ingredient.unit)) {
+      errors.push(
+        `${label}: unit "${ingredient.unit}" is not defined for ${product.name} (${ProductModel.getUnitNames(product).join(", ")})`
+      );
+    }
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  return ingredients.map((ingredient) => {
+    const product = products.get(ingredient.productId);
+    return {
+      productId: ingredient.productId,
+      productName: product.name,
+      quantity: ingredient.quantity,
+      unit: ProductModel.findUnit(product, ingredient.unit).name,
+    };
+  });
+};
+
+const findByName = async (name, excludeId = null) => {
+  const snapshot = await collection.where("nameLower", "==", name.trim().toLowerCase()).get();
+  return snapshot.docs.find((doc) => doc.id !== excludeId && doc.data().isActive !== false) || null;
+};
+
+exports.createRecipe = async (data) => {
+  if (!data.name || !data.name.trim()) {
+    throw codedError("VALIDATION_ERROR", "Recipe name is required");
+  }
+
+  const duplicate = await findByName(data.name);
+  if (duplicate) {
+    throw codedError("DUPLICATE_RECIPE", `Recipe "${data.name.trim()}" already exists with ID: ${duplicate.id}`);
+  }
+
+  const recipe = {
+    name: data.name.trim(),
+    nameLower: data.name.trim().toLowerCase(),
+    category: data.category || "",
+    yieldQuantity: parseYield(data.yieldQuantity ?? 1),
+    yieldUnit: data.yieldUnit || "portion",
+    ingredients: await parseIngredients(data.ingredients),
+    instructions: data.instructions || "",
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const recipeId = await CounterModel.nextId("recipes", "rec-", 3);
+  await collection.doc(recipeId).set(recipe);
+
+  return { id: recipeId, ...recipe };
+};
+
+exports.getAllRecipes = async (filters = {}) => {
+  const snapshot = await collection.get();
+  const includeInactive = filters.includeInactive === true || filters.includeInactive === "true";
+
+  return snapshot.docs
+    .map(toRecipe)
+    .filter((recipe) => includeInactive || recipe.isActive !== false)
+    .filter((recipe) => !filters.category || recipe.category === filters.category)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+exports.getRecipeById = async (id) => {
+  const doc = await collection.doc(id).get();
+
+  if (!doc.exists) {
+    throw codedError("RECIPE_NOT_FOUND", "Recipe not found");
+  }
+
+  return toRecipe(doc);
+};
+
+exports.updateRecipe = async (id, data) => {
+  const recipe = await exports.getRecipeById(id);
+  const updates = { updatedAt: new Date() };
+
+  if (data.name !== undefined) {
+    if (!data.name || !data.name.trim()) {
+      throw codedError("VALIDATION_ERROR", "Recipe name cannot be empty");
+    }
+    if (await findByName(data.name, id)) {
+      throw codedError("DUPLICATE_RECIPE", `Recipe name "${data.name.trim()}" is already in use`);
+    }
+    updates.name = data.name.trim();
+    updates.nameLower = updates.name.toLowerCase();
+  }
+
+  if (data.yieldQuantity !== undefined) {
+    updates.yieldQuantity = parseYield(data.yieldQuantity);
+  }
+
+  if (data.ingredients !== undefined) {
+    updates.ingredients = await parseIngredients(data.ingredients);
+  }
+
+  ["category", "yieldUnit", "instructions"].forEach((field) => {
+    if (data[field] !== undefined) updates[field] = data[field];
+  });
+
+  if (data.isActive !== undefined) {
+    updates.isActive = Boolean(data.isActive);
+  }
+
+  await collection.doc(recipe.id).update(updates);
+
+  return {
+    message: "Recipe updated successfully",
+    updatedFields: Object.keys(updates).filter((key) => key !== "updatedAt" && key !== "nameLower"),
+  };
+};
+
+// Soft delete: distributions keep pointing at the recipe they were made from
+exports.deleteRecipe = async (id) => {
+  await exports.getRecipeById(id);
+  await collection.doc(id).update({ isActive: false, updatedAt: new Date() });
+  return { success: true };
+};
+
+const parsePortions = (value) => {
+  const portions = Number(value);
+  if (!(portions > 0)) {
+    throw codedError("VALIDATION_ERROR", "portions must be a positive number");
+  }
+  return portions;
+};
+
+// Ingredient lines needed for `portions` portions of the recipe
+const expandIngredients = (recipe, portions) =>
+  recipe.ingredients.map((ingredient) => ({
+    productId: ingredient.productId,
+    productName: ingredient.productName,
+    quantity: Math.round(((ingredient.quantity * portions) / recipe.yieldQuantity) * 1000000) / 1000000,
+    unit: ingredient.unit,
+  }));
+
+// Distribute `portions` portions of a dish: the ingredient lines are posted
+// as one distribution through movementModel.createStockMovement
+exports.distributeRecipe = async (id, data) => {
+  const recipe = await exports.getRecipeById(id);
+  const portions = parsePortions(data.portions);
+
+  if (recipe.isActive === false) {
+    throw codedError("VALIDATION_ERROR", `Recipe ${recipe.name} is no longer active`);
+  }
+
+  return movementModel.createStockMovement(
+    {
+      type: "distribution",
+      departmentId: data.departmentId,
+      department: data.department,
+      locationId: data.locationId,
+      stockManager: data.stockManager,
+      notes: data.notes || `${portions} ${recipe.yieldUnit} of ${recipe.name}`,
+      products: expandIngredients(recipe, portions),
+    },
+    {
+      recipe: { recipeId: id, recipeName: recipe.name, portions, yieldUnit: recipe.yieldUnit },
+    }
+  );
+};
+
+// Price a recipe from the current weighted average cost of its ingredients
+exports.getRecipeCost = async (id, portionsValue) => {
+  const recipe = await exports.getRecipeById(id);
+  const portions = portionsValue !== undefined ? parsePortions(portionsValue) : recipe.yieldQuantity;
+  const products = await readProducts(recipe.ingredients.map((i) => i.productId));
+
+  const lines = expandIngredients(recipe, portions).map((line) => {
+    const product = products.get(line.productId);
+    const unit = product ? ProductModel.findUnit(product, line.unit) : null;
+
+    if (!unit) {
+      return { ...line, averageCost: null, cost: null, missing: !product, unitUndefined: Boolean(product) };
+    }
+
+    const baseQuantity = line.quantity * unit.factor;
+    const averageCost = Number(product.averageCost) || 0;
+    return {
+      ...line,
+      baseQuantity,
+      baseUnit: product.unit || "unit",
+      averageCost,
+      cost: roundMoney(baseQuantity * averageCost),
+    };
+  });
+
+  const totalCost = roundMoney(lines.reduce((sum, line) => sum + (line.cost || 0), 0));
+
+  return {
+    recipeId: id,
+    recipeName: recipe.name,
+    portions,
+    yieldUnit: recipe.yieldUnit,
+    totalCost,
+    costPerPortion: roundMoney(totalCost / portions),
+    // Ingredients that could not be priced (deleted product or unit)
+    unpriced: lines.filter((line) => line.cost === null).map((line) => line.productId),
+    ingredients: lines,
+  };
+};
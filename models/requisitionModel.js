@@ -0,0 +1,340 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("requisitions");
+const ProductModel = require("../models/productModel");
+const movementModel = require("../models/movementModel");
+const DepartmentModel = require("../models/departmentModel");
+const { codedError } = require("../utils/errors");
+const CounterModel = require("../models/counterModel");
+
+// submitted → approved / partially_approved → fulfilled, or rejected.
+// A submitted requisition can also be fulfilled straight away.
+const REQUISITION_STATUSES = ["submitted", "approved", "partially_approved", "rejected", "fulfilled"];
+exports.REQUISITION_STATUSES = REQUISITION_STATUSES;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toRequisition = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    neededBy: toDate(data.neededBy),
+    submittedAt: toDate(data.submittedAt),
+    fulfilledAt: toDate(data.fulfilledAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+const requireName = (value, field) => {
+  if (!value || typeof value !== "string" || !value.trim()) {
+    throw codedError("VALIDATION_ERROR", `${field} is required`);
+  }
+  return value.trim();
+};
+
+// Per product quantities given for an approval or a fulfilment. Each quantity
+// has to stay within `limitFor` the line.
+const parseLineQuantities = (requisition, products, limitFor, action) => {
+  if (!Array.isArray(products) || products.length === 0) {
+    throw codedError("VALIDATION_ERROR", "Products must be a non-empty array");
+  }
+
+  const lines = new Map(requisition.products.map((line) => [line.productId, line]));
+  const quantities = new Map();
+  const errors = [];
+
+  products.forEach((p) => {
+    const line = lines.get(p.productId);
+
+    if (!line) {
+      errors.push(`Product ${p.productId} is not on requisition ${requisition.id}`);
+    } else if (typeof p.quantity !== "number" || p.quantity < 0) {
+      errors.push(`${line.productName}: quantity must be zero or more`);
+    } else if (p.quantity > limitFor(line)) {
+      errors.push(`${line.productName}: cannot ${action} ${p.quantity} ${line.unit}, at most ${limitFor(line)}`);
+    } else {
+      quantities.set(p.productId, p.quantity);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  return quantities;
+};
+
+// The requesting department, given by departmentId (or by name)
+const findRequestingDepartment = async (data) => {
+  const reference = requireName(data.departmentId || data.department, "Department");
+  const department = await DepartmentModel.findDepartment(reference);
+
+  if (!department) {
+    throw codedError("DEPARTMENT_NOT_FOUND", `Department not found: ${reference}`);
+  }
+  if (department.isActive === false) {
+    throw codedError("VALIDATION_ERROR", `Department ${department.name} is no longer active`);
+  }
+
+  return department;
+};
+
+exports.submitRequisition = async (data) => {
+  const department = await findRequestingDepartment(data);
+  const requestedBy = requireName(data.requestedBy, "requestedBy");
+
+  if (!Array.isArray(data.products) || data.products.length === 0) {
+    throw codedError("VALIDATION_ERROR", "Products must be a non-empty array");
+  }
+
+  if (data.neededBy && Number.isNaN(new Date(data.neededBy).getTime())) {
+    throw codedError("VALIDATION_ERROR", "neededBy must be a valid date");
+  }
+
+  const productIds = data.products.map((p) => p.productId);
+  if (productIds.some((id) => !id) || new Set(productIds).size !== productIds.length) {
+    throw codedError("VALIDATION_ERROR", "Each line needs a productId and each product can only be requested once");
+  }
+
+  const docs = await db.getAll(...productIds.map((id) => db.collection("products").doc(id)));
+  const errors = [];
+
+  docs.forEach((doc, index) => {
+    const p = data.products[index];
+    if (!doc.exists) {
+      errors.push(`Product not found: ${doc.id}`);
+    } else if (typeof p.quantity !== "number" || p.quantity <= 0) {
+      errors.push(`${doc.data().name}: quantity must be a positive number`);
+    } else if (!ProductModel.findUnit(doc.data(), p.unit)) {
+      errors.push(`${doc.data().name}: unit "${p.unit}" is not defined (${ProductModel.getUnitNames(doc.data()).join(", ")})`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${errors.join(", ")}`, errors);
+  }
+
+  const requisitionId = await CounterModel.nextId("requisitions", "REQ", 4);
+  const now = new Date();
+
+  const requisition = {
+    id: requisitionId,
+    departmentId: department.id,
+    department: department.name,
+    requestedBy,
+    neededBy: data.neededBy ? new Date(data.neededBy) : null,
+    notes: data.notes || "",
+    status: "submitted",
+    products: data.products.map((p, index) => ({
+      productId: p.productId,
+      productName: docs[index].data().name,
+      unit: ProductModel.findUnit(docs[index].data(), p.unit).name,
+      requestedQuantity: p.quantity,
+      approvedQuantity: null,
+      deliveredQuantity: null,
+    })),
+    history: [{ status: "submitted", by: requestedBy, at: now, note: data.notes || "" }],
+    movementId: null,
+    submittedAt: now,
+    updatedAt: now,
+  };
+
+  await collection.doc(requisitionId).set(requisition);
+  return requisition;
+};
+
+exports.getAllRequisitions = async (filters = {}) => {
+  let query = collection;
+
+  if (filters.status && filters.status !== "all") {
+    query = query.where("status", "==", filters.status);
+  }
+
+  // Filter by department ID; a department name is looked up first
+  const departmentFilter = filters.departmentId || filters.department;
+  if (departmentFilter && departmentFilter !== "all") {
+    const department = await DepartmentModel.findDepartment(departmentFilter);
+    query = query.where("departmentId", "==", department ? department.id : departmentFilter);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(toRequisition)
+    .sort((a, b) => b.submittedAt - a.submittedAt);
+};
+
+exports.getRequisitionById = async (id) => {
+  const doc = await collection.doc(id).get();
+
+  if (!doc.exists) {
+    throw codedError("REQUISITION_NOT_FOUND", "Requisition not found");
+  }
+
+  return toRequisition(doc);
+};
+
+// Status changes read the requisition in their transaction, so two people
+// acting on it at once cannot both succeed
+const readRequisitionInTransaction = async (transaction, requisitionRef) => {
+  const doc = await transaction.get(requisitionRef);
+
+  if (!doc.exists) {
+    throw codedError("REQUISITION_NOT_FOUND", "Requisition not found");
+  }
+
+  return toRequisition(doc);
+};
+
+// Approve all requested quantities, or only the given ones (products not
+// listed are approved at zero). Anything below the request is a partial approval.
+exports.approveRequisition = async (id, data = {}) => {
+  const approvedBy = requireName(data.approvedBy, "approvedBy");
+  const requisitionRef = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const requisition = await readRequisitionInTransaction(transaction, requisitionRef);
+
+    if (requisition.status !== "submitted") {
+      throw codedError("INVALID_STATUS", `Requisition is already ${requisition.status}`);
+    }
+
+    const quantities = data.products !== undefined
+      ? parseLineQuantities(requisition, data.products, (line) => line.requestedQuantity, "approve")
+      : null;
+
+    const products = requisition.products.map((line) => ({
+      ...line,
+      approvedQuantity: quantities ? quantities.get(line.productId) ?? 0 : line.requestedQuantity,
+    }));
+
+    if (products.every((line) => line.approvedQuantity === 0)) {
+      throw codedError("VALIDATION_ERROR", "Nothing approved. Reject the requisition instead.");
+    }
+
+    const status = products.every((line) => line.approvedQuantity === line.requestedQuantity)
+      ? "approved"
+      : "partially_approved";
+    const now = new Date();
+
+    transaction.update(requisitionRef, {
+      status,
+      products,
+      approvedBy,
+      approvedAt: now,
+      history: [...requisition.history, { status, by: approvedBy, at: now, note: data.note || "" }],
+      updatedAt: now,
+    });
+
+    return { requisitionId: id, status, products };
+  });
+};
+
+exports.rejectRequisition = async (id, data = {}) => {
+  const rejectedBy = requireName(data.rejectedBy, "rejectedBy");
+  const reason = requireName(data.reason, "A rejection reason");
+  const requisitionRef = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const requisition = await readRequisitionInTransaction(transaction, requisitionRef);
+
+    if (requisition.status === "fulfilled" || requisition.status === "rejected") {
+      throw codedError("INVALID_STATUS", `Requisition is already ${requisition.status}`);
+    }
+
+    const now = new Date();
+    transaction.update(requisitionRef, {
+      status: "rejected",
+      rejectedBy,
+      rejectionReason: reason,
+      history: [...requisition.history, { status: "rejected", by: rejectedBy, at: now, note: reason }],
+      updatedAt: now,
+    });
+
+    return { requisitionId: id, status: "rejected" };
+  });
+};
+
+// Deliver the requisition: posts the distribution movement for the delivered
+// quantities (by default everything approved, or requested if it was not
+// approved first) and links it to the requisition
+exports.fulfilRequisition = async (id, data = {}) => {
+  const stockManager = requireName(data.stockManager, "Stock manager");
+  const requisitionRef = collection.doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const requisitionDoc = await transaction.get(requisitionRef);
+
+    if (!requisitionDoc.exists) {
+      throw codedError("REQUISITION_NOT_FOUND", "Requisition not found");
+    }
+
+    const requisition = { id, ...requisitionDoc.data() };
+    if (!["submitted", "approved", "partially_approved"].includes(requisition.status)) {
+      throw codedError("INVALID_STATUS", `Requisition is ${requisition.status} and cannot be fulfilled`);
+    }
+
+    const allowedFor = (line) => line.approvedQuantity ?? line.requestedQuantity;
+    const quantities = data.products !== undefined
+      ? parseLineQuantities(requisition, data.products, allowedFor, "deliver")
+      : new Map(requisition.products.map((line) => [line.productId, allowedFor(line)]));
+
+    const products = requisition.products.map((line) => ({
+      ...line,
+      approvedQuantity: allowedFor(line),
+      deliveredQuantity: quantities.get(line.productId) ?? 0,
+    }));
+    const delivered = products.filter((line) => line.deliveredQuantity > 0);
+
+    if (delivered.length === 0) {
+      throw codedError("VALIDATION_ERROR", "Nothing to deliver");
+    }
+
+    const { movement, alerts } = await movementModel.createStockMovementInTransaction(
+      transaction,
+      {
+        type: "distribution",
+        departmentId: requisition.departmentId,
+        department: requisition.departmentId ? undefined : requisition.department,
+        locationId: data.locationId,
+        stockManager,
+        notes: data.notes || `Requisition ${id}`,
+        products: delivered.map((line) => ({
+          productId: line.productId,
+          quantity: line.deliveredQuantity,
+          unit: line.unit,
+        })),
+      },
+      { requisitionId: id }
+    );
+
+    const now = new Date();
+    transaction.update(requisitionRef, {
+      status: "fulfilled",
+      products,
+      movementId: movement.movementId,
+      fulfilledBy: stockManager,
+      fulfilledAt: now,
+      history: [...(requisition.history || []), { status: "fulfilled", by: stockManager, at: now, note: data.notes || "" }],
+      updatedAt: now,
+    });
+
+    return {
+      requisitionId: id,
+      status: "fulfilled",
+      movementId: movement.movementId,
+      // Requested vs delivered per product
+      products: products.map((line) => ({
+        productId: line.productId,
+        productName: line.productName,
+        unit: line.unit,
+        requestedQuantity: line.requestedQuantity,
+        approvedQuantity: line.approvedQuantity,
+        deliveredQuantity: line.deliveredQuantity,
+        shortfall: line.requestedQuantity - line.deliveredQuantity,
+      })),
+      alerts,
+      budgetWarnings: movement.budgetWarnings || [],
+    };
+  });
+};
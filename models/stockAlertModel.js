@@ -0,0 +1,61 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("stockAlerts");
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Stage a low-stock alert inside the transaction of the movement that caused it
+exports.stageAlert = (transaction, alert) => {
+  const ref = collection.doc();
+  const data = {
+    ...alert,
+    acknowledged: false,
+    acknowledgedBy: null,
+    acknowledgedAt: null,
+    createdAt: new Date(),
+  };
+
+  transaction.set(ref, data);
+  return { id: ref.id, ...data };
+};
+
+exports.getAlerts = async (filters = {}) => {
+  let query = collection;
+
+  if (filters.acknowledged !== undefined && filters.acknowledged !== "all") {
+    query = query.where("acknowledged", "==", filters.acknowledged === true || filters.acknowledged === "true");
+  }
+
+  const snapshot = await query.get();
+  const limit = parseInt(filters.limit) || 100;
+
+  return snapshot.docs
+    .map((doc) => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        createdAt: toDate(data.createdAt),
+        acknowledgedAt: toDate(data.acknowledgedAt),
+      };
+    })
+    .filter((alert) => !filters.level || filters.level === "all" || alert.level === filters.level)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+};
+
+exports.acknowledgeAlert = async (id, acknowledgedBy) => {
+  const ref = collection.doc(id);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw new Error("Alert not found");
+  }
+
+  await ref.update({
+    acknowledged: true,
+    acknowledgedBy: acknowledgedBy || null,
+    acknowledgedAt: new Date(),
+  });
+
+  return { id, acknowledged: true };
+};
@@ -0,0 +1,387 @@
+const { db } = require("../config/firebase");
+const collection = db.collection("stocktakes");
+const ProductModel = require("../models/productModel");
+const movementModel = require("../models/movementModel");
+const LocationModel = require("../models/locationModel");
+const { codedError } = require("../utils/errors");
+const CounterModel = require("../models/counterModel");
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toSession = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    openedAt: toDate(data.openedAt),
+    closedAt: toDate(data.closedAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+// A stocktake counts one location: the given one, else the default location.
+// Without any location set up it counts the whole stock.
+const resolveLocation = async (locationId) => {
+  if (locationId) {
+    const location = await LocationModel.getLocationById(locationId);
+    if (location.isActive === false) {
+      throw codedError("VALIDATION_ERROR", `Location ${location.name} is no longer active`);
+    }
+    return location;
+  }
+
+  const locations = await LocationModel.getAllLocations();
+  return locations.find((location) => location.isDefault) || null;
+};
+
+// Quantity of a product at the counted location
+const stockAt = (product, location) =>
+  location ? LocationModel.quantityAt(product, location) : ProductModel.getStockLevel(product);
+
+// Expected (snapshot), counted and current quantities of one item
+const toVarianceLine = (item, currentStock) => {
+  const counted = item.countedQuantity;
+  return {
+    productId: item.productId,
+    productName: item.productName,
+    unit: item.unit,
+    expectedQuantity: item.expectedQuantity,
+    countedQuantity: counted,
+    variance: counted === null ? null : counted - item.expectedQuantity,
+    currentStock,
+    // What closing the session would post for this product: the variance
+    // against the snapshot, so stock moved since then is left as it is
+    adjustment: counted === null ? null : counted - item.expectedQuantity,
+    countedBy: item.countedBy || null,
+    countedAt: toDate(item.countedAt),
+  };
+};
+
+// Open a count session at a location and snapshot the expected quantity there
+// of every product (or of the given products / categories)
+exports.openStocktake = async (data) => {
+  if (!data.openedBy || !data.openedBy.trim()) {
+    throw codedError("VALIDATION_ERROR", "openedBy is required");
+  }
+
+  const location = await resolveLocation(data.locationId);
+  const locationId = location ? location.id : null;
+
+  // One open stocktake per location
+  const openSnapshot = await collection.where("status", "==", "open").get();
+  const alreadyOpen = openSnapshot.docs.find((doc) => (doc.data().locationId || null) === locationId);
+  if (alreadyOpen) {
+    throw codedError(
+      "STOCKTAKE_ALREADY_OPEN",
+      `Stocktake ${alreadyOpen.id} is still open${location ? ` at ${location.name}` : ""}. Close or cancel it first.`
+    );
+  }
+
+  let products = await ProductModel.getAllProducts();
+
+  if (Array.isArray(data.productIds) && data.productIds.length > 0) {
+    products = products.filter((p) => data.productIds.includes(p.id));
+  }
+
+  if (Array.isArray(data.categories) && data.categories.length > 0) {
+    products = products.filter((p) =>
+      (p.categories || []).some((category) => data.categories.includes(category))
+    );
+  }
+
+  if (products.length === 0) {
+    throw codedError("VALIDATION_ERROR", "No products to count");
+  }
+
+  const stocktakeId = await CounterModel.nextId("stocktakes", "STK", 4);
+  const now = new Date();
+  const sessionRef = collection.doc(stocktakeId);
+
+  const session = {
+    id: stocktakeId,
+    name: data.name || `Stocktake ${now.toLocaleDateString("fr-FR")}`,
+    status: "open",
+    openedBy: data.openedBy.trim(),
+    openedAt: now,
+    locationId,
+    locationName: location ? location.name : null,
+    notes: data.notes || "",
+    itemCount: products.length,
+    countedCount: 0,
+    submissions: 0,
+    updatedAt: now,
+  };
+
+  // Firestore batches hold up to 500 writes
+  const writes = [
+    (batch) => batch.set(sessionRef, session),
+    ...products.map((product) => (batch) =>
+      batch.set(sessionRef.collection("items").doc(product.id), {
+        productId: product.id,
+        productName: product.name,
+        unit: product.unit || "unit",
+        expectedQuantity: stockAt(product, location),
+        countedQuantity: null,
+        counts: [],
+      })
+    ),
+  ];
+
+  for (let i = 0; i < writes.length; i += 500) {
+    const batch = db.batch();
+    writes.slice(i, i + 500).forEach((write) => write(batch));
+    await batch.commit();
+  }
+
+  return session;
+};
+
+exports.getAllStocktakes = async (filters = {}) => {
+  let query = collection;
+
+  if (filters.status && filters.status !== "all") {
+    query = query.where("status", "==", filters.status);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(toSession)
+    .sort((a, b) => b.openedAt - a.openedAt);
+};
+
+exports.getStocktakeById = async (id) => {
+  const sessionRef = collection.doc(id);
+  const [doc, itemsSnapshot] = await Promise.all([
+    sessionRef.get(),
+    sessionRef.collection("items").get(),
+  ]);
+
+  if (!doc.exists) {
+    throw codedError("STOCKTAKE_NOT_FOUND", "Stocktake not found");
+  }
+
+  return {
+    ...toSession(doc),
+    items: itemsSnapshot.docs.map((item) => item.data()),
+  };
+};
+
+// Record counted quantities for some of the products. Several staff members
+// can submit; a later count of the same product replaces the earlier one,
+// which stays in the item's `counts` history.
+exports.submitCounts = async (id, data) => {
+  if (!data.countedBy || !data.countedBy.trim()) {
+    throw codedError("VALIDATION_ERROR", "countedBy is required");
+  }
+
+  if (!Array.isArray(data.counts) || data.counts.length === 0) {
+    throw codedError("VALIDATION_ERROR", "counts must be a non-empty array");
+  }
+
+  const invalid = data.counts
+    .filter((c) => !c.productId || typeof c.quantity !== "number" || c.quantity < 0)
+    .map((c) => `Invalid count: ${JSON.stringify(c)}`);
+
+  if (invalid.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${invalid.join(", ")}`, invalid);
+  }
+
+  const sessionRef = collection.doc(id);
+  const countedBy = data.countedBy.trim();
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+
+    if (!sessionDoc.exists) {
+      throw codedError("STOCKTAKE_NOT_FOUND", "Stocktake not found");
+    }
+
+    const session = sessionDoc.data();
+    if (session.status !== "open") {
+      throw codedError("STOCKTAKE_CLOSED", `Stocktake is ${session.status}, counts can no longer be submitted`);
+    }
+
+    const itemRefs = data.counts.map((c) => sessionRef.collection("items").doc(c.productId));
+    const itemDocs = await transaction.getAll(...itemRefs);
+
+    const missing = itemDocs.filter((doc) => !doc.exists).map((doc) => doc.id);
+    if (missing.length > 0) {
+      throw codedError("VALIDATION_ERROR", `Products not part of this stocktake: ${missing.join(", ")}`);
+    }
+
+    const now = new Date();
+    const items = new Map(itemDocs.map((doc) => [doc.id, doc.data()]));
+    let newlyCounted = 0;
+
+    data.counts.forEach((count) => {
+      const item = items.get(count.productId);
+      if (item.countedQuantity === null) newlyCounted++;
+
+      item.countedQuantity = count.quantity;
+      item.countedBy = countedBy;
+      item.countedAt = now;
+      item.counts = [...(item.counts || []), { quantity: count.quantity, countedBy, countedAt: now }];
+    });
+
+    items.forEach((item, productId) => {
+      transaction.set(sessionRef.collection("items").doc(productId), item);
+    });
+
+    transaction.update(sessionRef, {
+      countedCount: (session.countedCount || 0) + newlyCounted,
+      submissions: (session.submissions || 0) + 1,
+      updatedAt: now,
+    });
+
+    return {
+      stocktakeId: id,
+      submitted: data.counts.length,
+      countedCount: (session.countedCount || 0) + newlyCounted,
+      itemCount: session.itemCount,
+    };
+  });
+};
+
+// Variance of every item against the snapshot and against current stock at
+// the counted location
+exports.getVariances = async (id) => {
+  const stocktake = await exports.getStocktakeById(id);
+  const [products, location] = await Promise.all([
+    ProductModel.getAllProducts(),
+    stocktake.locationId ? LocationModel.getLocationById(stocktake.locationId) : null,
+  ]);
+  const stock = new Map(products.map((p) => [p.id, stockAt(p, location)]));
+
+  const lines = stocktake.items.map((item) => toVarianceLine(item, stock.get(item.productId) ?? 0));
+  const counted = lines.filter((line) => line.countedQuantity !== null);
+
+  return {
+    stocktakeId: id,
+    status: stocktake.status,
+    locationId: stocktake.locationId || null,
+    itemCount: lines.length,
+    countedCount: counted.length,
+    uncounted: lines.filter((line) => line.countedQuantity === null).map((line) => line.productId),
+    itemsWithVariance: counted.filter((line) => line.variance !== 0).length,
+    totalVariance: counted.reduce((sum, line) => sum + line.variance, 0),
+    lines,
+  };
+};
+
+// Close the session: one adjustment movement at the counted location brings
+// each counted product's stock there to the counted quantity. Uncounted
+// products are left untouched.
+exports.closeStocktake = async (id, data) => {
+  if (!data.closedBy || !data.closedBy.trim()) {
+    throw codedError("VALIDATION_ERROR", "closedBy is required");
+  }
+
+  const sessionRef = collection.doc(id);
+  const closedBy = data.closedBy.trim();
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+
+    if (!sessionDoc.exists) {
+      throw codedError("STOCKTAKE_NOT_FOUND", "Stocktake not found");
+    }
+
+    const session = sessionDoc.data();
+    if (session.status !== "open") {
+      throw codedError("STOCKTAKE_CLOSED", `Stocktake is already ${session.status}`);
+    }
+
+    const itemsSnapshot = await transaction.get(sessionRef.collection("items"));
+    const items = itemsSnapshot.docs.map((doc) => doc.data());
+    const counted = items.filter((item) => item.countedQuantity !== null);
+
+    if (counted.length === 0) {
+      throw codedError("VALIDATION_ERROR", "No counts have been submitted for this stocktake");
+    }
+
+    // Post the variance that was reviewed; products deleted since the count are skipped
+    const productDocs = await transaction.getAll(
+      ...counted.map((item) => db.collection("products").doc(item.productId))
+    );
+    const locationDoc = session.locationId
+      ? await transaction.get(db.collection("stockLocations").doc(session.locationId))
+      : null;
+    const location = locationDoc && locationDoc.exists ? { id: locationDoc.id, ...locationDoc.data() } : null;
+    const stock = new Map(
+      productDocs.filter((doc) => doc.exists).map((doc) => [doc.id, stockAt(doc.data(), location)])
+    );
+
+    const lines = counted
+      .filter((item) => stock.has(item.productId))
+      .map((item) => toVarianceLine(item, stock.get(item.productId)));
+
+    const adjustments = lines.filter((line) => line.adjustment !== 0);
+
+    let movement = null;
+    let alerts = [];
+    if (adjustments.length > 0) {
+      ({ movement, alerts } = await movementModel.createStockMovementInTransaction(
+        transaction,
+        {
+          type: "adjustment",
+          stockManager: closedBy,
+          justification: `Stocktake ${id}`,
+          notes: data.notes || "",
+          locationId: session.locationId || undefined,
+          products: adjustments.map((line) => ({
+            productId: line.productId,
+            quantity: line.adjustment,
+          })),
+        },
+        { stocktakeId: id }
+      ));
+    }
+
+    const now = new Date();
+    const summary = {
+      countedCount: counted.length,
+      uncountedCount: items.length - counted.length,
+      adjustedCount: adjustments.length,
+      totalVariance: lines.reduce((sum, line) => sum + line.variance, 0),
+    };
+
+    transaction.update(sessionRef, {
+      status: "closed",
+      closedBy,
+      closedAt: now,
+      movementId: movement ? movement.movementId : null,
+      summary,
+      updatedAt: now,
+    });
+
+    return {
+      stocktakeId: id,
+      movementId: movement ? movement.movementId : null,
+      summary,
+      adjustments,
+      alerts,
+    };
+  });
+};
+
+exports.cancelStocktake = async (id, data = {}) => {
+  const sessionRef = collection.doc(id);
+  const doc = await sessionRef.get();
+
+  if (!doc.exists) {
+    throw codedError("STOCKTAKE_NOT_FOUND", "Stocktake not found");
+  }
+
+  if (doc.data().status !== "open") {
+    throw codedError("STOCKTAKE_CLOSED", `Stocktake is already ${doc.data().status}`);
+  }
+
+  await sessionRef.update({
+    status: "cancelled",
+    cancelledBy: data.cancelledBy || null,
+    updatedAt: new Date(),
+  });
+
+  return { stocktakeId: id, status: "cancelled" };
+};
@@ -0,0 +1,258 @@
+const { db } = require("../config/firebase");
+const ProductModel = require("../models/productModel");
+const { codedError } = require("../utils/errors");
+const CounterModel = require("../models/counterModel");
+const collection = db.collection("suppliers");
+
+const CONTACT_FIELDS = ["contactName", "phone", "email", "address", "city", "taxId", "notes"];
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toSupplier = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  };
+};
+
+// Check the products a supplier provides and their usual prices
+const parseSuppliedProducts = async (products) => {
+  if (!Array.isArray(products)) {
+    throw codedError("VALIDATION_ERROR", "products must be an array");
+  }
+
+  const invalid = products.filter(
+    (p) => !ProductModel.isProductId(p.productId) ||
+      (p.price !== undefined && p.price !== null && !(Number(p.price) >= 0))
+  );
+  if (invalid.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Invalid supplied products: ${JSON.stringify(invalid)}`);
+  }
+
+  const docs = products.length > 0
+    ? await db.getAll(...products.map((p) => db.collection("products").doc(p.productId)))
+    : [];
+
+  const missing = docs.filter((doc) => !doc.exists).map((doc) => doc.id);
+  if (missing.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Products not found: ${missing.join(", ")}`);
+  }
+
+  const unknownUnits = products
+    .filter((p, index) => p.unit && !ProductModel.findUnit(docs[index].data(), p.unit))
+    .map((p) => `Unit "${p.unit}" is not defined for product ${p.productId}`);
+  if (unknownUnits.length > 0) {
+    throw codedError("VALIDATION_ERROR", `Validation errors: ${unknownUnits.join(", ")}`, unknownUnits);
+  }
+
+  // Prices are per `unit`, the unit the supplier sells the product in
+  return products.map((p, index) => ({
+    productId: p.productId,
+    productName: docs[index].data().name,
+    price: p.price !== undefined && p.price !== null ? Number(p.price) : null,
+    unit: ProductModel.findUnit(docs[index].data(), p.unit).name,
+    supplierReference: p.supplierReference || null,
+  }));
+};
+
+const findByName = async (name, excludeId = null) => {
+  const snapshot = await collection
+    .where("nameLower", "==", name.trim().toLowerCase())
+    .get();
+
+  return snapshot.docs.find((doc) => doc.id !== excludeId && doc.data().isActive !== false) || null;
+};
+
+exports.createSupplier = async (data) => {
+  if (!data.name || !data.name.trim()) {
+    throw codedError("VALIDATION_ERROR", "Supplier name is required");
+  }
+
+  const duplicate = await findByName(data.name);
+  if (duplicate) {
+    throw codedError("DUPLICATE_SUPPLIER", `Supplier "${data.name.trim()}" already exists with ID: ${duplicate.id}`);
+  }
+
+  const supplierId = await CounterModel.nextId("suppliers", "sup-", 3);
+  const supplierData = {
+    name: data.name.trim(),
+    nameLower: data.name.trim().toLowerCase(),
+    products: await parseSuppliedProducts(data.products || []),
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  CONTACT_FIELDS.forEach((field) => {
+    supplierData[field] = typeof data[field] === "string" ? data[field].trim() : "";
+  });
+
+  await collection.doc(supplierId).set(supplierData);
+
+  return { id: supplierId, ...supplierData };
+};
+
+exports.getAllSuppliers = async (filters = {}) => {
+  const snapshot = await collection.get();
+  const includeInactive = filters.includeInactive === true || filters.includeInactive === "true";
+
+  return snapshot.docs
+    .map(toSupplier)
+    .filter((supplier) => includeInactive || supplier.isActive !== false)
+    .filter((supplier) => !filters.productId || (supplier.products || []).some((p) => p.productId === filters.productId))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+exports.getSupplierById = async (id) => {
+  const doc = await collection.doc(id).get();
+  if (!doc.exists) {
+    throw codedError("SUPPLIER_NOT_FOUND", "Supplier not found");
+  }
+  return toSupplier(doc);
+};
+
+exports.updateSupplier = async (id, data) => {
+  const ref = collection.doc(id);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw codedError("SUPPLIER_NOT_FOUND", "Supplier not found");
+  }
+
+  const updates = { updatedAt: new Date() };
+
+  if (data.name !== undefined) {
+    if (!data.name || !data.name.trim()) {
+      throw codedError("VALIDATION_ERROR", "Supplier name cannot be empty");
+    }
+    if (await findByName(data.name, id)) {
+      throw codedError("DUPLICATE_SUPPLIER", `Supplier name "${data.name.trim()}" is already in use`);
+    }
+    updates.name = data.name.trim();
+    updates.nameLower = updates.name.toLowerCase();
+  }
+
+  CONTACT_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) {
+      updates[field] = typeof data[field] === "string" ? data[field].trim() : "";
+    }
+  });
+
+  if (data.products !== undefined) {
+    updates.products = await parseSuppliedProducts(data.products);
+  }
+
+  if (data.isActive !== undefined) {
+    updates.isActive = Boolean(data.isActive);
+  }
+
+  await ref.update(updates);
+
+  return {
+    message: "Supplier updated successfully",
+    updatedFields: Object.keys(updates).filter((key) => key !== "updatedAt" && key !== "nameLower"),
+  };
+};
+
+// Soft delete: suppliers stay readable from the movements that reference them
+exports.deleteSupplier = async (id) => {
+  const ref = collection.doc(id);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw codedError("SUPPLIER_NOT_FOUND", "Supplier not found");
+  }
+
+  await ref.update({ isActive: false, updatedAt: new Date() });
+  return { success: true };
+};
+
+// Resolve the supplier of a movement inside its transaction. Accepts a
+// supplier ID, or for older clients a supplier name matching the directory.
+exports.resolveSupplierInTransaction = async (transaction, { supplierId, supplier }) => {
+  const reference = supplierId || supplier;
+  if (!reference) return null;
+
+  // A name can contain "/", which no document ID does
+  const doc = String(reference).includes("/") ? null : await transaction.get(collection.doc(String(reference)));
+  if (doc && doc.exists) {
+    return { id: doc.id, ...doc.data() };
+  }
+
+  if (!supplierId && typeof supplier === "string") {
+    const snapshot = await transaction.get(
+      collection.where("nameLower", "==", supplier.trim().toLowerCase())
+    );
+    const match = snapshot.docs.find((d) => d.data().isActive !== false);
+    if (match) {
+      return { id: match.id, ...match.data() };
+    }
+  }
+
+  return null;
+};
+
+// Usual price of a product at a supplier, if the directory knows it. Given the
+// product, the price is converted to its base unit.
+exports.getUsualPrice = (supplier, productId, product = null) => {
+  const entry = (supplier?.products || []).find((p) => p.productId === productId);
+  if (!entry || entry.price === null) return null;
+
+  const unit = product ? ProductModel.findUnit(product, entry.unit) : null;
+  return unit ? entry.price / unit.factor : entry.price;
+};
+
+// Movements from a supplier, including older ones that only stored its name
+exports.getSupplierMovements = async (id) => {
+  const supplier = await exports.getSupplierById(id);
+  const movements = db.collection("stockMovements");
+
+  const [byId, byName] = await Promise.all([
+    movements.where("supplierId", "==", id).get(),
+    movements.where("supplier", "==", supplier.name).get(),
+  ]);
+
+  const seen = new Set();
+  const list = [...byId.docs, ...byName.docs]
+    .filter((doc) => {
+      if (seen.has(doc.id)) return false;
+      seen.add(doc.id);
+      return true;
+    })
+    .map((doc) => {
+      const data = doc.data();
+      return { id: doc.id, ...data, timestamp: toDate(data.timestamp) };
+    })
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  const productTotals = new Map();
+  list
+    .filter((m) => m.type === "stock_in")
+    .forEach((m) => {
+      (m.products || []).forEach((p) => {
+        const entry = productTotals.get(p.productId) || {
+          productId: p.productId,
+          productName: p.productName,
+          totalQuantity: 0,
+          totalValue: 0,
+        };
+        entry.totalQuantity += p.quantity || 0;
+        entry.totalValue += p.total || 0;
+        productTotals.set(p.productId, entry);
+      });
+    });
+
+  return {
+    supplier,
+    totalDeliveries: list.filter((m) => m.type === "stock_in").length,
+    totalReturns: list.filter((m) => m.type === "supplier_return").length,
+    totalValue: list
+      .filter((m) => m.type === "stock_in")
+      .reduce((sum, m) => sum + (m.totalValue || 0), 0),
+    products: Array.from(productTotals.values()),
+    recentMovements: list.slice(0, 20),
+  };
+};
@@ -0,0 +1,96 @@
+const { db } = require("../config/firebase");
+const { codedError } = require("../utils/errors");
+
+// VAT rates are percentages. A product is taxed at its own taxRate, else at the
+// rate of its categories (primary category first), else at DEFAULT_TAX_RATE.
+
+// Standard rate, for products and categories without a rate of their own
+const DEFAULT_TAX_RATE = process.env.DEFAULT_TAX_RATE !== undefined ? Number(process.env.DEFAULT_TAX_RATE) : 20;
+exports.DEFAULT_TAX_RATE = DEFAULT_TAX_RATE;
+
+// Half up to the cent. Going through toFixed first keeps binary leftovers
+// (1.005 * 100 = 100.49999...) from rounding down.
+const roundMoney = (value) => Math.round(Number((Number(value) * 100).toFixed(6))) / 100;
+exports.roundMoney = roundMoney;
+
+// Rate between 0 and 100; undefined, null and "" mean no rate of its own
+exports.parseTaxRate = (value, field = "taxRate") => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+    throw codedError("VALIDATION_ERROR", `${field} must be a percentage between 0 and 100`);
+  }
+  return rate;
+};
+
+// Rate of each product of a Map of product ID → product data
+exports.resolveTaxRates = async (products) => {
+  const rates = new Map();
+  if (products.size === 0) return rates;
+
+  const snapshot = await db.collection("categories").get();
+  const categoryRates = new Map();
+  snapshot.docs.forEach((doc) => {
+    const category = doc.data();
+    if (typeof category.taxRate === "number" && category.name) {
+      categoryRates.set(category.name.trim().toLowerCase(), category.taxRate);
+    }
+  });
+
+  products.forEach((product, id) => {
+    if (typeof product.taxRate === "number") {
+      rates.set(id, product.taxRate);
+      return;
+    }
+
+    const category = [product.primaryCategory, ...(product.categories || [])]
+      .filter(Boolean)
+      .map((name) => String(name).trim().toLowerCase())
+      .find((name) => categoryRates.has(name));
+    rates.set(id, category ? categoryRates.get(category) : DEFAULT_TAX_RATE);
+  });
+
+  return rates;
+};
+
+// Net, tax and gross of an amount taxed at `rate`; the amount is the gross one
+// when prices include tax, else the net one
+const taxAmounts = (amount, rate, pricesIncludeTax = false) => {
+  if (pricesIncludeTax) {
+    const grossAmount = roundMoney(amount);
+    const netAmount = roundMoney(grossAmount / (1 + rate / 100));
+    return { netAmount, taxAmount: roundMoney(grossAmount - netAmount), grossAmount };
+  }
+
+  const netAmount = roundMoney(amount);
+  const taxAmount = roundMoney((netAmount * rate) / 100);
+  return { netAmount, taxAmount, grossAmount: roundMoney(netAmount + taxAmount) };
+};
+exports.taxAmounts = taxAmounts;
+
+// Net, tax and gross per rate of priced lines (taxRate and total), less an
+// invoice discount shared between the rates in proportion to their amounts.
+// Tax is computed once on the total of each rate, so it can differ by a cent
+// from the sum of the line taxes.
+exports.taxSummary = (lines, discount = 0, pricesIncludeTax = false) => {
+  const amounts = new Map();
+  lines.forEach((line) => {
+    amounts.set(line.taxRate, roundMoney((amounts.get(line.taxRate) || 0) + line.total));
+  });
+
+  const subtotal = roundMoney([...amounts.values()].reduce((sum, amount) => sum + amount, 0));
+  const rates = [...amounts.keys()].sort((a, b) => a - b);
+  let discountLeft = roundMoney(discount);
+
+  return rates.map((rate, index) => {
+    const amount = amounts.get(rate);
+    // The last rate takes what rounding left over
+    const share = index === rates.length - 1
+      ? discountLeft
+      : roundMoney(subtotal > 0 ? (discount * amount) / subtotal : 0);
+    discountLeft = roundMoney(discountLeft - share);
+
+    return { rate, ...taxAmounts(amount - share, rate, pricesIncludeTax) };
+  });
+};
@@ -2,6 +2,7 @@
 const express = require("express");
 const router = express.Router();
 const clientController = require("../controllers/clientCon");
+const { statusForError } = require("../utils/errorResponses");
 
 // ✅ Create a new client
 router.post("/", async (req, res) => {
@@ -9,20 +10,30 @@ router.post("/", async (req, res) => {
     const client = await clientController.createClient(req.body);
     res.status(201).json(client);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(statusForError(err.code, 400)).json({ error: err.message, errors: err.errors });
   }
 });
 
 // ✅ Get all clients
 router.get("/", async (req, res) => {
   try {
-    const clients = await clientController.getAllClients();
+    const clients = await clientController.getAllClients(req.query);
     res.json(clients);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ✅ Receivables aging per client (?asOf=&clientId=&type=)
+router.get("/aging", async (req, res) => {
+  try {
+    const report = await clientController.getReceivablesAging(req.query);
+    res.json(report);
+  } catch (err) {
+    res.status(statusForError(err.code)).json({ error: err.message });
+  }
+});
+
 // ✅ Get a single client by ID
 router.get("/:id", async (req, res) => {
   try {
@@ -39,7 +50,7 @@ router.put("/:id", async (req, res) => {
     const result = await clientController.updateClient(req.params.id, req.body);
     res.json(result);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(statusForError(err.code, 400)).json({ error: err.message, errors: err.errors });
   }
 });
 
@@ -49,7 +60,17 @@ router.delete("/:id", async (req, res) => {
     const result = await clientController.deleteClient(req.params.id);
     res.json(result);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(statusForError(err.code, 400)).json({ error: err.message });
+  }
+});
+
+// ✅ Invoice history and outstanding balance of a client
+router.get("/:id/invoices", async (req, res) => {
+  try {
+    const history = await clientController.getClientInvoices(req.params.id);
+    res.json(history);
+  } catch (err) {
+    res.status(statusForError(err.code)).json({ error: err.message });
   }
 });
 
@@ -67,4 +67,94 @@ router.get('/out-of-stock', async (req, res) => {
   }
 });
 
+// Get products graded critical / low / ok against their stock levels
+router.get('/low-stock', async (req, res) => {
+  try {
+    const { level = 'low' } = req.query; // critical, low, all
+    
+    if (!['critical', 'low', 'all'].includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid level. Must be one of: critical, low, all'
+      });
+    }
+    
+    console.log(`📉 Fetching low stock products, level: ${level}`);
+    
+    const result = await dashboardController.getLowStockProducts(level);
+    
+    res.json({
+      success: true,
+      counts: result.counts,
+      data: result.products
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching low stock products:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Stock value and product count per stock location
+router.get('/stock-by-location', async (req, res) => {
+  try {
+    const locations = await dashboardController.getStockByLocation();
+    
+    res.json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching stock by location:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get stock alerts raised by movements
+router.get('/alerts', async (req, res) => {
+  try {
+    const alerts = await dashboardController.getStockAlerts(req.query);
+    
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: alerts
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching stock alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Acknowledge a stock alert
+router.patch('/alerts/:id/acknowledge', async (req, res) => {
+  try {
+    const result = await dashboardController.acknowledgeStockAlert(req.params.id, req.body.acknowledgedBy);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error acknowledging stock alert:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
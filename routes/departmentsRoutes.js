@@ -11,7 +11,14 @@ const {
   hardDeleteDepartment,
   getDepartmentStats,
   searchDepartments,
-  bulkUpdateDepartments
+  bulkUpdateDepartments,
+  migrateDepartmentReferences,
+  getDepartmentStock,
+  recordDepartmentCount,
+  getDepartmentBudgets,
+  setDepartmentBudget,
+  deleteDepartmentBudget,
+  getBudgetReport
 } = require('../controllers/departmentsController');
 
 // Import middleware
@@ -22,13 +29,20 @@ router.get('/',  getDepartments);
 router.get('/all',  getAllDepartments);
 router.get('/stats/summary',  getDepartmentStats);
 router.get('/search/:query',  searchDepartments);
+router.get('/budgets/report',  getBudgetReport);
 router.get('/:id',  getDepartment);
+router.get('/:id/budgets',  getDepartmentBudgets);
+router.get('/:id/stock',  getDepartmentStock);
 
 router.post('/',  createDepartment);
 router.patch('/bulk',  bulkUpdateDepartments);
+router.post('/migrate-references',  migrateDepartmentReferences);
+router.post('/:id/stock/count',  recordDepartmentCount);
 
 router.put('/:id',  updateDepartment);
 router.delete('/:id',  deleteDepartment);
 router.delete('/:id/hard',  hardDeleteDepartment);
+router.put('/:id/budgets/:month',  setDepartmentBudget);
+router.delete('/:id/budgets/:month',  deleteDepartmentBudget);
 
 module.exports = router;
\ No newline at end of file
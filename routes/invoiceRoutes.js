@@ -2,6 +2,7 @@
 const express = require("express");
 const router = express.Router();
 const invoiceController = require("../controllers/invoiceCon");
+const { statusForError } = require("../utils/errorResponses");
 
 // CREATE - Create a new invoice
 
@@ -11,9 +12,11 @@ router.post("/create-confirmed", async (req, res) => {
     const result = await invoiceController.createConfirmedInvoice(req, res);
   } catch (error) {
     console.error('❌ Route error creating confirmed invoice:', error);
-    res.status(500).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -22,11 +25,11 @@ router.post("/", async (req, res) => {
   try {
     console.log('📥 Received invoice creation request:', req.body);
     
-    // Validate required fields
-    if (!req.body.clientId || !req.body.clientName || !req.body.products) {
+    // Validate required fields; the client's name comes from the client directory
+    if (!req.body.clientId || !req.body.products) {
       return res.status(400).json({
         success: false,
-        message: "Missing required fields: clientId, clientName, and products are required"
+        message: "Missing required fields: clientId and products are required"
       });
     }
 
@@ -39,9 +42,11 @@ router.post("/", async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Route error creating invoice:', error);
-    res.status(400).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -58,9 +63,31 @@ router.get("/", async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error fetching invoices:', error);
-    res.status(500).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
+    });
+  }
+});
+
+// TAX REPORT - Tax per rate over a period (?startDate=&endDate=&basis=invoiced|payments)
+router.get("/tax-report", async (req, res) => {
+  try {
+    const report = await invoiceController.getTaxReport(req.query);
+    
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error building tax report:', error);
+    res.status(statusForError(error.code)).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -76,9 +103,11 @@ router.get("/:id", async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error fetching invoice:', error);
-    res.status(404).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -95,9 +124,11 @@ router.put("/:id", async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error updating invoice:', error);
-    res.status(400).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -105,18 +136,21 @@ router.put("/:id", async (req, res) => {
 // CONFIRM - Confirm invoice
 router.patch("/:id/confirm", async (req, res) => {
   try {
-    const result = await invoiceController.confirmInvoice(req.params.id);
+    const result = await invoiceController.confirmInvoice(req.params.id, req.body);
     
     res.json({
       success: true,
       message: result.message,
-      data: { invoiceId: result.invoiceId }
+      data: { invoiceId: result.invoiceId, stockMovementId: result.stockMovementId },
+      alerts: result.alerts
     });
   } catch (error) {
     console.error('❌ Error confirming invoice:', error);
-    res.status(400).json({
+    res.status(statusForError(error.code, 400)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -133,9 +167,11 @@ router.delete("/:id", async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error deleting invoice:', error);
-    res.status(400).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -151,9 +187,11 @@ router.get("/stats/summary", async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error fetching stats:', error);
-    res.status(500).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
@@ -169,13 +207,20 @@ router.get("/search/:term", async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error searching invoices:', error);
-    res.status(500).json({
+    res.status(statusForError(error.code)).json({
       success: false,
-      message: error.message
+      message: error.message,
+      code: error.code,
+      errors: error.errors
     });
   }
 });
 // In your backend routes
 router.patch('/:id/status', invoiceController.updateInvoiceStatus);
 
+// PAYMENTS - Payments received and remaining balance
+router.get('/:id/payments', invoiceController.getInvoicePayments);
+router.post('/:id/payments', invoiceController.recordPayment);
+router.delete('/:id/payments/:paymentId', invoiceController.deletePayment);
+
 module.exports = router;
\ No newline at end of file
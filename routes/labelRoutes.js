@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProductLabels,
+  getMovementLabels
+} = require('../controllers/labelController');
+
+// Routes
+router.get('/products/:id', getProductLabels);
+router.get('/movements/:movementId', getMovementLabels);
+
+module.exports = router;
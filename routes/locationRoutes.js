@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createLocation,
+  getLocations,
+  getLocation,
+  getLocationStock,
+  updateLocation,
+  deleteLocation
+} = require('../controllers/locationController');
+
+// Routes
+router.post('/', createLocation);
+router.get('/', getLocations);
+router.get('/:id', getLocation);
+router.get('/:id/stock', getLocationStock);
+router.put('/:id', updateLocation);
+router.delete('/:id', deleteLocation);
+
+module.exports = router;
@@ -7,13 +7,31 @@ const {
   getMovementStatistics,
   getStockMovementById,
   updateStockMovement,
+  getMovementRevisions,
   deleteMovementController,
+  reverseMovementController,
   canDeleteMovement
 } = require('../controllers/stockMovementController');
 
+const { WASTE_REASONS } = require('../models/movementModel');
+
+// Field each movement type needs besides type, stockManager and products.
+// A nested list means any one of those fields will do.
+const requiredFieldsByType = {
+  distribution: [['departmentId', 'department']],
+  stock_in: [['supplierId', 'supplier']],
+  waste: ['reasonCode'],
+  department_return: [['departmentId', 'department']],
+  supplier_return: [['supplierId', 'supplier']],
+  department_transfer: [['fromDepartmentId', 'fromDepartment'], ['departmentId', 'department']],
+  adjustment: ['justification'],
+  consumption: [['departmentId', 'department']],
+  location_transfer: ['fromLocationId', 'toLocationId']
+};
+
 // Input validation middleware
 const validateMovementCreation = (req, res, next) => {
-  const { type, department, stockManager, products } = req.body;
+  const { type, stockManager, products } = req.body;
   
   if (!type || !stockManager || !products || !Array.isArray(products) || products.length === 0) {
     return res.status(400).json({
@@ -22,26 +40,43 @@ const validateMovementCreation = (req, res, next) => {
     });
   }
   
-  if (type === 'distribution' && !department) {
+  const missingFields = (requiredFieldsByType[type] || [])
+    .filter(field => ![].concat(field).some(name => req.body[name]))
+    .map(field => [].concat(field).join(' or '));
+  if (missingFields.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Missing required fields for ${type} movements: ${missingFields.join(', ')}`
+    });
+  }
+  
+  if (type === 'waste' && !WASTE_REASONS.includes(req.body.reasonCode)) {
     return res.status(400).json({
       success: false,
-      message: 'Department is required for distribution movements'
+      message: `Waste reason code must be one of: ${WASTE_REASONS.join(', ')}`
     });
   }
   
   // Validate each product
   for (const product of products) {
-    if (!product.productId || !product.productName || !product.quantity || !product.unit) {
+    // Scanned lines carry a barcode; the product and unit come from the code
+    const identified = product.barcode
+      ? Boolean(product.quantity)
+      : product.productId && product.productName && product.quantity && product.unit;
+    if (!identified) {
       return res.status(400).json({
         success: false,
-        message: 'Each product must have productId, productName, quantity, and unit'
+        message: 'Each product must have productId, productName, quantity, and unit (or a barcode and quantity)'
       });
     }
     
-    if (typeof product.quantity !== 'number' || product.quantity <= 0) {
+    // Adjustments can lower stock with negative quantities
+    if (typeof product.quantity !== 'number' || (type !== 'adjustment' && product.quantity <= 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Product quantity must be a positive number'
+        message: type === 'adjustment'
+          ? 'Product quantity must be a non-zero number'
+          : 'Product quantity must be a positive number'
       });
     }
   }
@@ -55,7 +90,9 @@ router.get('/history', getStockHistory);
 router.get('/departments/:department', getDepartmentStock);
 router.get('/statistics', getMovementStatistics);
 router.get('/:movementId', getStockMovementById);
+router.get('/:movementId/revisions', getMovementRevisions);
 router.put('/:movementId', updateStockMovement);
+router.post('/:movementId/reverse', reverseMovementController);
 router.delete('/:id', deleteMovementController);
 
 // GET /api/movements/:id/can-delete - Check if movement can be deleted
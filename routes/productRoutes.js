@@ -5,7 +5,12 @@ const ProductsController = require("../controllers/productCon");
 // CRUD routes
 router.post("/", ProductsController.addProduct);
 router.get("/", ProductsController.getProducts);
+router.get("/lots/expiring", ProductsController.getExpiringLots);
+router.get("/valuation", ProductsController.getInventoryValuation);
+router.get("/lookup/:code", ProductsController.lookupProduct);
 router.get("/:id", ProductsController.getProduct);
+router.get("/:id/lots", ProductsController.getProductLots);
+router.get("/:id/locations", ProductsController.getProductLocations);
 router.put("/:id", ProductsController.updateProduct);
 router.delete("/:id", ProductsController.deleteProduct);
 router.post('/add-quantities', ProductsController.addProductQuantities);
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+} = require('../controllers/purchaseOrderController');
+
+// Routes
+router.post('/', createPurchaseOrder);
+router.get('/', getPurchaseOrders);
+router.get('/:id', getPurchaseOrder);
+router.put('/:id', updatePurchaseOrder);
+router.post('/:id/send', sendPurchaseOrder);
+router.post('/:id/receive', receivePurchaseOrder);
+router.post('/:id/cancel', cancelPurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createRecipe,
+  getRecipes,
+  getRecipe,
+  getRecipeCost,
+  updateRecipe,
+  deleteRecipe,
+  distributeRecipe
+} = require('../controllers/recipeController');
+
+// Routes
+router.post('/', createRecipe);
+router.get('/', getRecipes);
+router.get('/:id', getRecipe);
+router.get('/:id/cost', getRecipeCost);
+router.put('/:id', updateRecipe);
+router.delete('/:id', deleteRecipe);
+router.post('/:id/distribute', distributeRecipe);
+
+module.exports = router;
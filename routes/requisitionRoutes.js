@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  submitRequisition,
+  getRequisitions,
+  getRequisition,
+  approveRequisition,
+  rejectRequisition,
+  fulfilRequisition
+} = require('../controllers/requisitionController');
+
+// Routes
+router.post('/', submitRequisition);
+router.get('/', getRequisitions);
+router.get('/:id', getRequisition);
+router.post('/:id/approve', approveRequisition);
+router.post('/:id/reject', rejectRequisition);
+router.post('/:id/fulfil', fulfilRequisition);
+
+module.exports = router;
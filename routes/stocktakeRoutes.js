@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  openStocktake,
+  getStocktakes,
+  getStocktake,
+  submitCounts,
+  getVariances,
+  closeStocktake,
+  cancelStocktake
+} = require('../controllers/stocktakeController');
+
+// Routes
+router.post('/', openStocktake);
+router.get('/', getStocktakes);
+router.get('/:id', getStocktake);
+router.post('/:id/counts', submitCounts);
+router.get('/:id/variances', getVariances);
+router.post('/:id/close', closeStocktake);
+router.post('/:id/cancel', cancelStocktake);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSupplier,
+  getSuppliers,
+  getSupplier,
+  getSupplierMovements,
+  updateSupplier,
+  deleteSupplier
+} = require('../controllers/supplierController');
+
+// Routes
+router.post('/', createSupplier);
+router.get('/', getSuppliers);
+router.get('/:id', getSupplier);
+router.get('/:id/movements', getSupplierMovements);
+router.put('/:id', updateSupplier);
+router.delete('/:id', deleteSupplier);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// HTTP status for the error codes of the models (see utils/errors.js)
+const STATUS_BY_CODE = {
+  VALIDATION_ERROR: 400,
+  MOVEMENT_TOO_OLD: 400,
+
+  BUDGET_NOT_FOUND: 404,
+  CLIENT_NOT_FOUND: 404,
+  DEPARTMENT_NOT_FOUND: 404,
+  INVOICE_NOT_FOUND: 404,
+  LOCATION_NOT_FOUND: 404,
+  MOVEMENT_NOT_FOUND: 404,
+  PAYMENT_NOT_FOUND: 404,
+  PRODUCT_NOT_FOUND: 404,
+  PURCHASE_ORDER_NOT_FOUND: 404,
+  RECIPE_NOT_FOUND: 404,
+  REQUISITION_NOT_FOUND: 404,
+  STOCKTAKE_NOT_FOUND: 404,
+  SUPPLIER_NOT_FOUND: 404,
+
+  DUPLICATE_CLIENT: 409,
+  DUPLICATE_CODE: 409,
+  DUPLICATE_LOCATION: 409,
+  DUPLICATE_PRODUCT: 409,
+  DUPLICATE_RECIPE: 409,
+  DUPLICATE_SUPPLIER: 409,
+  CLIENT_HAS_INVOICES: 409,
+  LOCATION_IN_USE: 409,
+  INVALID_STATUS: 409,
+  INSUFFICIENT_STOCK: 409,
+  LOT_UNAVAILABLE: 409,
+  BUDGET_EXCEEDED: 409,
+  STOCK_CONFLICT: 409,
+  STOCK_RESTORATION_FAILED: 409,
+  MOVEMENT_REVERSED: 409,
+  INVOICE_MOVEMENT: 409,
+  PURCHASE_ORDER_MOVEMENT: 409,
+  REQUISITION_MOVEMENT: 409,
+  STOCKTAKE_MOVEMENT: 409,
+  STOCKTAKE_ALREADY_OPEN: 409,
+  STOCKTAKE_CLOSED: 409,
+  10: 409, // Firestore ABORTED, the transaction kept conflicting
+};
+
+// Status of an error code; `fallback` for codes the map does not know
+const statusForError = (code, fallback = 500) => STATUS_BY_CODE[code] || fallback;
+exports.statusForError = statusForError;
+
+// Answer with a coded error (or a failed model result). Unexpected errors
+// get the fallback message instead of their own, in `errors` as well.
+exports.sendError = (res, error, fallbackMessage) => {
+  const status = statusForError(error.code);
+  const unexpected = status === 500;
+
+  return res.status(status).json({
+    success: false,
+    message: unexpected ? fallbackMessage : error.message,
+    code: typeof error.code === "string" ? error.code : undefined,
+    errors: unexpected ? [fallbackMessage] : error.errors || [error.message]
+  });
+};
@@ -0,0 +1,8 @@
+// Error carrying a machine readable code for the controllers, with the list
+// of problems found (by default just the message)
+exports.codedError = (code, message, errors = [message]) => {
+  const error = new Error(message);
+  error.code = code;
+  error.errors = errors;
+  return error;
+};